@@ -1,6 +1,7 @@
 require('dotenv').config();
 
 const { App } = require('@slack/bolt');
+const { WebClient } = require('@slack/web-api');
 const { Octokit } = require('@octokit/rest');
 const http = require('http');
 const crypto = require('crypto');
@@ -8,6 +9,99 @@ const crypto = require('crypto');
 // Financial Analyst module
 const financialAnalyst = require('./financial-analyst');
 
+// Billing request form schema
+const {
+  buildModalView,
+  buildEditModalView,
+  readFormValues,
+  stashFiles,
+  restoreFiles,
+  buildIssueBody,
+  parseIssueBody,
+  updateIssueBody,
+  getOptionLabel,
+  fieldBlockId,
+  REQUEST_TYPES,
+  PRIORITIES,
+  FORM_VERSION,
+} = require('./billing-requests/form-schema');
+const { findSimilarIssues, buildDuplicateBlocks, readDuplicateChoice } = require('./billing-requests/duplicates');
+const { resolveRoute, isConfiguredRepo, getRoutingConfig } = require('./billing-requests/routing');
+const { uploadAttachments, formatAttachmentsMarkdown } = require('./billing-requests/attachments');
+const { getRequestStatuses, buildStatusBlocks } = require('./billing-requests/status');
+const {
+  SLACK_SYNC_MARKER,
+  buildMetadataBlock,
+  setIssueMetadata,
+  extractSubmitter,
+} = require('./billing-requests/issue-metadata');
+const {
+  initLinkageTables,
+  saveIssueThread,
+  getIssueThread,
+  findIssueForThread,
+  savePRMessage,
+  getPRMessage,
+  listPRMessages,
+  savePRCISummary,
+} = require('./billing-requests/linkage');
+const {
+  initDeliveryTable,
+  claimDelivery,
+  completeDelivery,
+  listDeliveries,
+  getDelivery,
+} = require('./billing-requests/deliveries');
+const { pool: requestsPool, isDatabaseConfigured } = require('./billing-requests/db');
+const {
+  initJobsTable,
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  listJobs,
+  retryDeadJob,
+} = require('./billing-requests/jobs');
+const {
+  isProductionEnvironment,
+  findPreviousDeploymentSha,
+  findPreviousReleaseTag,
+  findShippedPullRequests,
+} = require('./billing-requests/deployments');
+const {
+  findPullRequestsForSha,
+  getCIRollup,
+  formatCISummary,
+  withCIStatus,
+} = require('./billing-requests/ci-status');
+const {
+  TRIAGE_CHANNEL,
+  NEEDS_INFO_LABEL,
+  buildTriageBlocks,
+  getTriageRef,
+  appendTriageLog,
+  buildMoreInfoModal,
+  buildDuplicateModal,
+} = require('./billing-requests/triage');
+const { checkSlaBreaches, getSlaReport, buildSlaReportBlocks } = require('./billing-requests/sla');
+const { resolveLinkedIssues } = require('./billing-requests/pr-links');
+const {
+  VOTE_ACTION_ID,
+  VOTE_MODAL_CALLBACK_ID,
+  parseVotes,
+  addVote,
+  buildVoteModal,
+  findTopVotedRequests,
+  buildTopVotedBlocks,
+} = require('./billing-requests/votes');
+const { getLiveness, getReadiness } = require('./billing-requests/health');
+const metrics = require('./billing-requests/metrics');
+const {
+  DRAFT_ACTION_ID,
+  draftRequest,
+  describeSuggestion,
+  addDraftBlocks,
+} = require('./billing-requests/drafting');
+
 // Initialize Slack Bolt app with Socket Mode
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
@@ -16,18 +110,44 @@ const app = new App({
   appToken: process.env.SLACK_APP_TOKEN,
 });
 
+// Slack client for queued jobs: rate-limited calls fail fast so the job queue can reschedule
+// them (instead of blocking the worker), and retries are left to the queue.
+// Without a database, jobs run inline with nothing to retry them, so they use the app's
+// client (which waits out rate limits and retries) instead.
+const jobSlackClient = isDatabaseConfigured()
+  ? new WebClient(process.env.SLACK_BOT_TOKEN, {
+    rejectRateLimitedCalls: true,
+    retryConfig: { retries: 0 },
+  })
+  : app.client;
+
 // Initialize GitHub client (must be before functions that use it)
 const octokit = new Octokit({
   auth: process.env.GITHUB_TOKEN,
 });
 
-// GitHub repo configuration
-const GITHUB_OWNER = 'chrisbru1';
-const GITHUB_REPO = 'psbillingapp';
-
 // Slack channel for non-Slack-created PR notifications
 const PR_NOTIFICATION_CHANNEL = process.env.PR_NOTIFICATION_CHANNEL || 'ps-billing-app-testing';
 
+// Issue actions that are posted to the request's Slack thread (comma-separated)
+const ISSUE_NOTIFY_ACTIONS = (process.env.ISSUE_NOTIFY_ACTIONS || 'closed,reopened,labeled,assigned,milestoned')
+  .split(',')
+  .map(action => action.trim());
+
+// Slack users who can edit or withdraw any request, not just their own (comma-separated)
+const ADMIN_USER_IDS = process.env.BILLING_ADMIN_USER_IDS
+  ? process.env.BILLING_ADMIN_USER_IDS.split(',').map(id => id.trim())
+  : [];
+
+// Bearer token for the admin HTTP API (the API is disabled when unset)
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// How often to check for requests that missed their SLA response target (0 disables)
+const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES || '15', 10);
+
+// Slack message metadata event type on request confirmations (identifies the issue a thread belongs to)
+const BILLING_REQUEST_EVENT = 'billing_request_created';
+
 // FPA channels for financial analyst bot (access-controlled, comma-separated)
 const FPA_CHANNEL_IDS = process.env.FPA_CHANNEL_ID
   ? process.env.FPA_CHANNEL_ID.split(',').map(id => id.trim())
@@ -43,48 +163,57 @@ function verifyGitHubSignature(payload, signature) {
   return crypto.timingSafeEqual(Buffer.from(digest), Buffer.from(signature));
 }
 
-// Extract Slack metadata from issue body (channel ID and message timestamp for threading)
-function extractSlackMetadata(issueBody) {
-  const channelMatch = issueBody?.match(/<!-- slack_channel:(\w+) -->/);
-  const tsMatch = issueBody?.match(/<!-- slack_thread_ts:([\d.]+) -->/);
-  return {
-    channelId: channelMatch ? channelMatch[1] : null,
-    threadTs: tsMatch ? tsMatch[1] : null,
-  };
+// Check whether a Slack user may edit or withdraw a request (its submitter or an admin)
+function canManageRequest(userId, issue) {
+  return ADMIN_USER_IDS.includes(userId) || extractSubmitter(issue.body) === userId;
 }
 
-// Extract issue numbers from PR body (looks for "Fixes #123", "Closes #123", etc.)
-function extractLinkedIssues(prBody) {
-  if (!prBody) return [];
-  const patterns = [
-    /(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*#(\d+)/gi,
-    /#(\d+)/g // Also match plain issue references
-  ];
+// Parse an "owner/repo#123" reference (used as button values)
+function parseIssueRef(ref) {
+  const [fullName, number] = ref.split('#');
+  const [owner, repo] = fullName.split('/');
+  return { owner, repo, fullName, issueNumber: parseInt(number, 10) };
+}
 
-  const issues = new Set();
-  for (const pattern of patterns) {
-    let match;
-    while ((match = pattern.exec(prBody)) !== null) {
-      issues.add(parseInt(match[1], 10));
-    }
+// Wording for each kind of PR notification
+//   headline: message title; by: context line prefix (followed by the user who did it)
+const PR_NOTIFICATIONS = {
+  opened: { emoji: ':rocket:', headline: 'Pull request opened', by: 'Opened' },
+  ready_for_review: { emoji: ':eyes:', headline: 'Pull request ready for review', by: 'Marked ready for review' },
+  approved: { emoji: ':thumbsup:', headline: 'Pull request approved', by: 'Approved' },
+  changes_requested: { emoji: ':memo:', headline: 'Changes requested on pull request', by: 'Changes requested' },
+  merged: { emoji: ':white_check_mark:', headline: 'Pull request merged', by: 'Merged' },
+  closed: { emoji: ':no_entry_sign:', headline: 'Pull request closed without merging', by: 'Closed' },
+  reopened: { emoji: ':arrows_counterclockwise:', headline: 'Pull request reopened', by: 'Reopened' },
+};
+
+// Work out which PR notification a pull_request or pull_request_review event is (null if not notified)
+function getPRNotificationKind(event, payload) {
+  if (event === 'pull_request_review') {
+    if (payload.action !== 'submitted') return null;
+    const state = payload.review.state.toLowerCase();
+    return state === 'approved' || state === 'changes_requested' ? state : null;
+  }
+
+  switch (payload.action) {
+    case 'opened':
+    case 'ready_for_review':
+    case 'reopened':
+      return payload.action;
+    case 'closed':
+      return payload.pull_request.merged ? 'merged' : 'closed';
+    default:
+      return null;
   }
-  return Array.from(issues);
 }
 
 // Build PR notification blocks
-function buildPRNotificationBlocks(pr, action, issueInfo = null) {
-  let message, emoji;
-  if (action === 'opened') {
-    emoji = ':rocket:';
-    message = issueInfo
-      ? `*Pull request opened for issue #${issueInfo.number}*`
-      : `*Pull request opened*`;
-  } else {
-    emoji = ':white_check_mark:';
-    message = issueInfo
-      ? `*Pull request merged for issue #${issueInfo.number}*`
-      : `*Pull request merged*`;
-  }
+// kind is a PR_NOTIFICATIONS key; review is the submitted review for approved / changes_requested
+function buildPRNotificationBlocks(pr, kind, issueInfo = null, { actor = pr.user.login, review = null } = {}) {
+  const { emoji, headline, by } = PR_NOTIFICATIONS[kind];
+  const message = issueInfo
+    ? `*${headline} for issue #${issueInfo.number}*`
+    : `*${headline}*`;
 
   // Truncate PR body if too long (Slack has limits)
   let prBody = pr.body || '_No description provided_';
@@ -98,6 +227,15 @@ function buildPRNotificationBlocks(pr, action, issueInfo = null) {
   }
   if (!prBody) prBody = '_No additional description_';
 
+  // Later updates show the review comment (if any) rather than repeating the PR description
+  let detail = null;
+  if (kind === 'opened' || kind === 'merged') {
+    detail = prBody;
+  } else if (review?.body) {
+    detail = review.body.length > 1500 ? review.body.substring(0, 1500) + '...' : review.body;
+    detail = detail.split('\n').map(line => `> ${line}`).join('\n');
+  }
+
   const blocks = [
     {
       type: 'section',
@@ -133,27 +271,28 @@ function buildPRNotificationBlocks(pr, action, issueInfo = null) {
     });
   }
 
-  blocks.push(
-    {
+  if (detail) {
+    blocks.push({
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: prBody,
+        text: detail,
       },
-    },
-    {
-      type: 'context',
-      elements: [
-        {
-          type: 'mrkdwn',
-          text: `${action === 'opened' ? 'Opened' : 'Merged'} by *${pr.user.login}*`,
-        },
-      ],
-    }
-  );
+    });
+  }
+
+  blocks.push({
+    type: 'context',
+    elements: [
+      {
+        type: 'mrkdwn',
+        text: `${by} by *${actor}*`,
+      },
+    ],
+  });
 
   // Add merge commit info if merged
-  if (action === 'closed' && pr.merged) {
+  if (kind === 'merged') {
     blocks.push({
       type: 'context',
       elements: [
@@ -168,12 +307,47 @@ function buildPRNotificationBlocks(pr, action, issueInfo = null) {
   return { blocks, message };
 }
 
-// Get Slack thread info from PR comment (for threading merge under open notification)
-async function getPRSlackThread(prNumber) {
+// Channel IDs for channels configured by name (PR_NOTIFICATION_CHANNEL), learned from
+// conversations.list or from where chat.postMessage put a message
+const channelIdsByName = new Map();
+
+// Resolve a channel name to its ID (chat.update and the stored PR messages need IDs)
+// IDs are returned as they are; a name that can't be resolved is returned unchanged
+async function resolveChannelId(channel) {
+  if (/^[CGD][A-Z0-9]{6,}$/.test(channel)) return channel;
+
+  const name = channel.replace(/^#/, '');
+  if (channelIdsByName.has(name)) return channelIdsByName.get(name);
+
+  try {
+    for await (const page of app.client.paginate('conversations.list', {
+      types: 'public_channel,private_channel',
+      exclude_archived: true,
+      limit: 200,
+    })) {
+      const match = page.channels.find(c => c.name === name);
+      if (match) {
+        channelIdsByName.set(name, match.id);
+        return match.id;
+      }
+    }
+    console.error(`Channel #${name} not found, using its name`);
+  } catch (error) {
+    console.error(`Failed to look up the ID of channel #${name}:`, error.message);
+  }
+  return channel;
+}
+
+// Get the Slack message a PR was announced with in a channel (for threading merge under open notification)
+// PRs announced before the linkage table existed carry it in a bot comment instead
+async function getPRSlackThread({ owner, repo }, prNumber, channelId) {
+  const stored = await getPRMessage({ owner, repo }, prNumber, channelId);
+  if (stored) return stored;
+
   try {
     const { data: comments } = await octokit.issues.listComments({
-      owner: GITHUB_OWNER,
-      repo: GITHUB_REPO,
+      owner,
+      repo,
       issue_number: prNumber,
     });
 
@@ -181,7 +355,7 @@ async function getPRSlackThread(prNumber) {
     for (const comment of comments) {
       const channelMatch = comment.body.match(/<!-- slack_pr_channel:([\w-]+) -->/);
       const tsMatch = comment.body.match(/<!-- slack_pr_thread_ts:([\d.]+) -->/);
-      if (channelMatch && tsMatch) {
+      if (channelMatch && tsMatch && channelMatch[1] === channelId) {
         return { channelId: channelMatch[1], threadTs: tsMatch[1] };
       }
     }
@@ -191,13 +365,17 @@ async function getPRSlackThread(prNumber) {
   return null;
 }
 
-// Save Slack thread info to PR comment (for threading merge under open notification)
-async function savePRSlackThread(prNumber, channelId, threadTs) {
-  console.log(`Saving Slack thread info for PR #${prNumber}: channel=${channelId}, ts=${threadTs}`);
+// Save the Slack message a PR was announced with (for threading merge under open notification)
+// message ({ text, blocks }) lets the CI status line be added to it later
+// Without a database, it's kept in a bot comment on the PR
+async function savePRSlackThread({ owner, repo }, prNumber, channelId, threadTs, message = null) {
+  console.log(`Saving Slack thread info for PR ${owner}/${repo}#${prNumber}: channel=${channelId}, ts=${threadTs}`);
+  if (await savePRMessage({ owner, repo }, prNumber, channelId, threadTs, message)) return;
+
   try {
     const result = await octokit.issues.createComment({
-      owner: GITHUB_OWNER,
-      repo: GITHUB_REPO,
+      owner,
+      repo,
       issue_number: prNumber,
       body: `Slack notification sent.\n\n<!-- slack_pr_channel:${channelId} -->\n<!-- slack_pr_thread_ts:${threadTs} -->`,
     });
@@ -208,546 +386,2093 @@ async function savePRSlackThread(prNumber, channelId, threadTs) {
   }
 }
 
-// Handle GitHub webhook events
-async function handleGitHubWebhook(event, payload) {
-  if (event !== 'pull_request') return;
+// Get owner/repo for the repository a webhook event came from
+function repoFromPayload(payload) {
+  return {
+    owner: payload.repository.owner.login,
+    repo: payload.repository.name,
+  };
+}
+
+// Post a queued PR notification, threading later updates under the "opened" notification in the same channel
+// threadTs is the request thread to fall back to (null for the general PR channel)
+// channelId may be a channel name (PR_NOTIFICATION_CHANNEL); messages are stored under the channel's ID
+registerJobHandler('pr_notification', async ({ repoInfo, prNumber, kind, channelId, threadTs, message }) => {
+  let prThread = null;
+  if (kind !== 'opened') {
+    const resolvedId = await resolveChannelId(channelId);
+    prThread = await getPRSlackThread(repoInfo, prNumber, resolvedId);
+    // PRs announced before channel IDs were saved are stored under the channel's name
+    if (!prThread && resolvedId !== channelId) {
+      prThread = await getPRSlackThread(repoInfo, prNumber, channelId);
+    }
+  }
+  const replyTo = prThread?.threadTs || threadTs;
+
+  const result = await jobSlackClient.chat.postMessage({
+    ...message,
+    channel: channelId,
+    thread_ts: replyTo || undefined,
+  });
+  if (result.channel && result.channel !== channelId) {
+    channelIdsByName.set(channelId.replace(/^#/, ''), result.channel);
+  }
+
+  // For opened PRs, save the message ts so later updates can thread under it
+  if (kind === 'opened' && result.ts) {
+    await savePRSlackThread(repoInfo, prNumber, result.channel || channelId, result.ts, {
+      text: message.text,
+      blocks: message.blocks,
+    });
+  }
 
-  const action = payload.action;
+  console.log(`Notified channel ${channelId} about PR #${prNumber} ${kind}${replyTo ? ' (threaded)' : ''}`);
+});
+
+// Refresh the CI status line on every Slack message that announced a PR
+// Runs against the PR's current head, so a stale queued update never overwrites a newer status
+registerJobHandler('pr_ci_status', async ({ repoInfo, prNumber }) => {
+  const messages = (await listPRMessages(repoInfo, prNumber)).filter(m => m.message);
+  if (messages.length === 0) return;
+
+  const { data: pr } = await octokit.pulls.get({ ...repoInfo, pull_number: prNumber });
+  const rollup = await getCIRollup(octokit, repoInfo, pr.head.sha);
+  if (!rollup) return;
+
+  const summary = formatCISummary(rollup);
+  for (const { channelId, messageTs, message, ciSummary } of messages) {
+    if (ciSummary === summary) continue;
+
+    // Messages stored before channel IDs were saved may have the channel's name
+    await jobSlackClient.chat.update({
+      channel: await resolveChannelId(channelId),
+      ts: messageTs,
+      text: message.text,
+      blocks: withCIStatus(message.blocks, summary),
+    });
+    await savePRCISummary(repoInfo, prNumber, channelId, summary);
+    console.log(`Updated CI status on PR #${prNumber} message in ${channelId}: ${rollup.state}`);
+  }
+});
+
+// Post a queued Slack message (chat.postMessage arguments)
+registerJobHandler('slack_message', async (message) => {
+  await jobSlackClient.chat.postMessage(message);
+});
+
+// Idempotency key for a job queued while handling a webhook delivery (null without a delivery ID)
+// A replay of the delivery queues the same keys, so targets it already reached aren't posted to twice
+function deliveryJobKey(deliveryId, ...target) {
+  return deliveryId ? [deliveryId, ...target].join(':') : null;
+}
+
+// Fetch an issue a PR refers to (null if it doesn't exist, can't be read, or is itself a PR)
+async function getReferencedIssue(ref) {
+  try {
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.number,
+    });
+    return issue.pull_request ? null : issue;
+  } catch (error) {
+    // References in PR bodies can point at issues that don't exist or repos we can't read
+    if (error.status === 404 || error.status === 403) return null;
+    throw error;
+  }
+}
+
+// Reply "mentioned in PR" in the Slack thread of a request a PR refers to without fixing it
+async function notifyMentionedIssue(ref, pr, actor, deliveryId = null) {
+  const issue = await getReferencedIssue(ref);
+  if (!issue) return;
+
+  const { channelId, threadTs } = await getIssueThread(ref, issue);
+  if (!channelId || !threadTs) return;
+
+  const text = `:link: Issue #${issue.number} was mentioned in a pull request by *${actor}*`;
+  await enqueueJob('slack_message', {
+    channel: channelId,
+    thread_ts: threadTs,
+    text,
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text },
+      },
+      {
+        type: 'context',
+        elements: [
+          {
+            type: 'mrkdwn',
+            text: `<${pr.html_url}|PR #${pr.number}: ${pr.title}> • Not linked as a fix, so further updates on this PR won't be posted here`,
+          },
+        ],
+      },
+    ],
+    unfurl_links: false,
+    unfurl_media: false,
+  }, { idempotencyKey: deliveryJobKey(deliveryId, 'mentioned', ref.fullName, ref.number) });
+}
+
+// Handle pull_request and pull_request_review webhook events
+async function handlePullRequestEvent(event, payload, deliveryId) {
   const pr = payload.pull_request;
 
-  // Only handle PR opened and merged events
-  if (action !== 'opened' && !(action === 'closed' && pr.merged)) return;
+  const kind = getPRNotificationKind(event, payload);
+  if (!kind) return;
+
+  const repoInfo = repoFromPayload(payload);
+  const details = { actor: payload.sender?.login || pr.user.login, review: payload.review };
 
-  // Extract linked issue numbers from PR body
-  const linkedIssues = extractLinkedIssues(pr.body);
+  // Issues the PR fixes, and issues it only mentions
+  const { closing, mentioned } = await resolveLinkedIssues(octokit, repoInfo, pr);
 
   // Track if we found any Slack-created issues
   let notifiedSlackThread = false;
+  // Notifications that failed (reported once every thread has been tried)
+  const failures = [];
 
-  // For each linked issue, try to notify the Slack channel
-  for (const issueNumber of linkedIssues) {
+  // For each issue the PR fixes, queue a notification to its Slack thread
+  for (const ref of closing) {
     try {
-      // Fetch the issue to get the Slack metadata from the body
-      const { data: issue } = await octokit.issues.get({
-        owner: GITHUB_OWNER,
-        repo: GITHUB_REPO,
-        issue_number: issueNumber,
-      });
+      // Fetch the issue to find its Slack thread
+      const issue = await getReferencedIssue(ref);
+      if (!issue) continue;
 
-      const { channelId, threadTs } = extractSlackMetadata(issue.body);
+      const { channelId, threadTs } = await getIssueThread(ref, issue);
       if (!channelId) continue;
 
       // This is a Slack-created issue - notify in thread
       notifiedSlackThread = true;
 
-      const { blocks, message } = buildPRNotificationBlocks(pr, action, {
-        number: issueNumber,
+      const { blocks, message } = buildPRNotificationBlocks(pr, kind, {
+        number: issue.number,
         title: issue.title,
         html_url: issue.html_url,
-      });
-
-      // Send notification to Slack
-      const messageOptions = {
-        channel: channelId,
-        text: `${message}: ${pr.title}`,
-        blocks,
-        unfurl_links: false,
-        unfurl_media: false,
-      };
-
-      // For merged PRs, try to thread under the "opened" notification first
-      if (action === 'closed' && pr.merged) {
-        const prThread = await getPRSlackThread(pr.number);
-        if (prThread && prThread.channelId === channelId) {
-          messageOptions.thread_ts = prThread.threadTs;
-        } else if (threadTs) {
-          // Fall back to threading under the original issue request
-          messageOptions.thread_ts = threadTs;
-        }
-      } else if (threadTs) {
-        // For opened PRs, thread under the original issue request
-        messageOptions.thread_ts = threadTs;
-      }
-
-      const result = await app.client.chat.postMessage(messageOptions);
+      }, details);
+
+      await enqueueJob('pr_notification', {
+        repoInfo,
+        prNumber: pr.number,
+        kind,
+        channelId,
+        threadTs,
+        message: {
+          text: `${message}: ${pr.title}`,
+          blocks,
+          unfurl_links: false,
+          unfurl_media: false,
+        },
+      }, { idempotencyKey: deliveryJobKey(deliveryId, 'closing', ref.fullName, ref.number) });
+    } catch (error) {
+      console.error(`Failed to notify for issue ${ref.fullName}#${ref.number}:`, error.message);
+      failures.push(`issue ${ref.fullName}#${ref.number}: ${error.message}`);
+    }
+  }
 
-      // For opened PRs, save the message ts so merge can thread under it
-      if (action === 'opened' && result.ts) {
-        await savePRSlackThread(pr.number, channelId, result.ts);
+  // Issues that are only mentioned get a single note when the PR opens, not every update
+  if (kind === 'opened') {
+    for (const ref of mentioned) {
+      try {
+        await notifyMentionedIssue(ref, pr, details.actor, deliveryId);
+      } catch (error) {
+        console.error(`Failed to notify mention of issue ${ref.fullName}#${ref.number}:`, error.message);
+        failures.push(`mention of ${ref.fullName}#${ref.number}: ${error.message}`);
       }
-
-      console.log(`Notified channel ${channelId} about PR #${pr.number} for issue #${issueNumber}${messageOptions.thread_ts ? ' (threaded)' : ''}`);
-    } catch (error) {
-      console.error(`Failed to notify for issue #${issueNumber}:`, error.message);
     }
   }
 
   // If no Slack-created issues were found, post to the general PR channel
   if (!notifiedSlackThread) {
     try {
-      const { blocks, message } = buildPRNotificationBlocks(pr, action);
-
-      // For merged PRs, check if we have a thread to reply to
-      let threadTs = null;
-      if (action === 'closed' && pr.merged) {
-        const prThread = await getPRSlackThread(pr.number);
-        if (prThread) {
-          threadTs = prThread.threadTs;
-        }
+      const { blocks, message } = buildPRNotificationBlocks(pr, kind, null, details);
+
+      await enqueueJob('pr_notification', {
+        repoInfo,
+        prNumber: pr.number,
+        kind,
+        channelId: PR_NOTIFICATION_CHANNEL,
+        threadTs: null,
+        message: {
+          text: `${message}: ${pr.title}`,
+          blocks,
+          unfurl_links: false,
+          unfurl_media: false,
+        },
+      }, { idempotencyKey: deliveryJobKey(deliveryId, 'channel', PR_NOTIFICATION_CHANNEL) });
+    } catch (error) {
+      console.error(`Failed to notify ${PR_NOTIFICATION_CHANNEL}:`, error.message);
+      failures.push(`${PR_NOTIFICATION_CHANNEL}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`PR #${pr.number} notifications failed (${failures.join('; ')})`);
+  }
+}
+
+// Login of the GitHub user behind GITHUB_TOKEN (looked up once)
+let botLoginPromise = null;
+function getBotLogin() {
+  if (!botLoginPromise) {
+    botLoginPromise = octokit.users.getAuthenticated()
+      .then(({ data }) => data.login)
+      .catch(error => {
+        console.error('Failed to look up GitHub bot login:', error.message);
+        botLoginPromise = null;
+        return null;
+      });
+  }
+  return botLoginPromise;
+}
+
+// Build the thread reply text for an issue lifecycle event (null if the action isn't described)
+function buildIssueEventMessage(payload) {
+  const { action, issue, sender } = payload;
+  const by = `by *${sender.login}*`;
+
+  switch (action) {
+    case 'closed':
+      if (issue.state_reason === 'not_planned') {
+        return `:no_entry_sign: Issue #${issue.number} was closed as *won't fix* ${by}`;
+      }
+      if (issue.state_reason === 'duplicate') {
+        return `:twisted_rightwards_arrows: Issue #${issue.number} was closed as a *duplicate* ${by}`;
       }
+      return `:white_check_mark: Issue #${issue.number} was closed as *completed* ${by}`;
+    case 'reopened':
+      return `:arrows_counterclockwise: Issue #${issue.number} was reopened ${by}`;
+    case 'labeled':
+      return `:label: Label \`${payload.label.name}\` added ${by}`;
+    case 'unlabeled':
+      return `:label: Label \`${payload.label.name}\` removed ${by}`;
+    case 'assigned':
+      return `:bust_in_silhouette: Assigned to *${payload.assignee.login}* ${by}`;
+    case 'unassigned':
+      return `:bust_in_silhouette: *${payload.assignee.login}* unassigned ${by}`;
+    case 'milestoned':
+      return `:round_pushpin: Added to milestone *${issue.milestone.title}* ${by}`;
+    case 'demilestoned':
+      return `:round_pushpin: Removed from milestone ${by}`;
+    default:
+      return null;
+  }
+}
+
+// Handle issues webhook events (lifecycle changes on Slack-created issues)
+async function handleIssueEvent(payload, deliveryId) {
+  const { action, issue, sender } = payload;
+  if (!ISSUE_NOTIFY_ACTIONS.includes(action)) return;
+
+  // Our own changes (e.g., labels set when the issue is filed) are already reflected in Slack
+  const botLogin = await getBotLogin();
+  if (botLogin && sender.login === botLogin) return;
+
+  const { channelId, threadTs } = await getIssueThread(repoFromPayload(payload), issue);
+  if (!channelId || !threadTs) return;
+
+  const text = buildIssueEventMessage(payload);
+  if (!text) return;
+
+  try {
+    await enqueueJob('slack_message', {
+      channel: channelId,
+      thread_ts: threadTs,
+      text,
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text },
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `<${issue.html_url}|#${issue.number}: ${issue.title}>`,
+            },
+          ],
+        },
+      ],
+      unfurl_links: false,
+      unfurl_media: false,
+    }, { idempotencyKey: deliveryJobKey(deliveryId, 'thread', channelId, threadTs) });
+    console.log(`Queued notification to channel ${channelId} about issue #${issue.number} ${action}`);
+  } catch (error) {
+    console.error(`Failed to notify about issue #${issue.number} ${action}:`, error.message);
+    throw error;
+  }
+}
+
+// Handle issue_comment webhook events (mirror GitHub discussion into the Slack thread)
+async function handleIssueCommentEvent(payload, deliveryId) {
+  const { action, issue, comment } = payload;
+  if (action !== 'created') return;
+
+  // PR conversations aren't part of the request thread
+  if (issue.pull_request) return;
+
+  // Skip comments we wrote (Slack replies, +1s) and automation
+  if (comment.body?.includes(SLACK_SYNC_MARKER) || comment.user.type === 'Bot') return;
+
+  const { channelId, threadTs } = await getIssueThread(repoFromPayload(payload), issue);
+  if (!channelId || !threadTs) return;
+
+  // Slack sections are limited to 3000 characters
+  let commentText = comment.body || '';
+  if (commentText.length > 2500) {
+    commentText = commentText.substring(0, 2500) + '...';
+  }
+  const quoted = commentText.split('\n').map(line => `> ${line}`).join('\n');
+
+  try {
+    await enqueueJob('slack_message', {
+      channel: channelId,
+      thread_ts: threadTs,
+      text: `${comment.user.login} commented on GitHub issue #${issue.number}`,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `:speech_balloon: *${comment.user.login}* commented on GitHub:\n${quoted}`,
+          },
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `<${comment.html_url}|View comment on #${issue.number}> • Reply in this thread to respond on GitHub`,
+            },
+          ],
+        },
+      ],
+      unfurl_links: false,
+      unfurl_media: false,
+    }, { idempotencyKey: deliveryJobKey(deliveryId, 'thread', channelId, threadTs) });
+    console.log(`Queued mirror of comment ${comment.id} on issue #${issue.number} to channel ${channelId}`);
+  } catch (error) {
+    console.error(`Failed to mirror comment on issue #${issue.number}:`, error.message);
+    throw error;
+  }
+}
+
+// Reply "shipped to production" in the Slack thread of every request linked to the shipped PRs
+// shippedAs describes the deployment or release, e.g. "deployed to `production`"
+async function notifyShippedRequests(repoInfo, pulls, shippedAs, url, deliveryId) {
+  // Several PRs can fix the same request - announce it once
+  const notified = new Set();
+
+  for (const pr of pulls) {
+    // Only requests the PR fixes - mentions aren't announced as shipped
+    const { closing } = await resolveLinkedIssues(octokit, repoInfo, pr);
+
+    for (const ref of closing) {
+      const key = `${ref.fullName}#${ref.number}`;
+      if (notified.has(key)) continue;
+
+      const issue = await getReferencedIssue(ref);
+      if (!issue) continue;
+
+      const { channelId, threadTs } = await getIssueThread(ref, issue);
+      if (!channelId || !threadTs) continue;
+      notified.add(key);
 
-      const messageOptions = {
-        channel: PR_NOTIFICATION_CHANNEL,
-        text: `${message}: ${pr.title}`,
-        blocks,
+      const text = `:ship: *Shipped to production!* The fix for #${issue.number} is live.`;
+      await enqueueJob('slack_message', {
+        channel: channelId,
+        thread_ts: threadTs,
+        text,
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text },
+          },
+          {
+            type: 'context',
+            elements: [
+              {
+                type: 'mrkdwn',
+                text: `<${pr.html_url}|PR #${pr.number}: ${pr.title}> ${url ? `<${url}|${shippedAs}>` : shippedAs}`,
+              },
+            ],
+          },
+        ],
         unfurl_links: false,
         unfurl_media: false,
-      };
+      }, { idempotencyKey: deliveryJobKey(deliveryId, 'shipped', key) });
+    }
+  }
 
-      if (threadTs) {
-        messageOptions.thread_ts = threadTs;
-      }
+  console.log(`Shipped ${pulls.length} PR(s) in ${repoInfo.owner}/${repoInfo.repo}, notified ${notified.size} request thread(s)`);
+}
+
+// Handle deployment_status webhook events (successful production deployments)
+async function handleDeploymentStatusEvent(payload, deliveryId) {
+  const { deployment, deployment_status: status } = payload;
+  if (status.state !== 'success' || !isProductionEnvironment(deployment.environment)) return;
+
+  const repoInfo = repoFromPayload(payload);
+  const previousSha = await findPreviousDeploymentSha(octokit, repoInfo, deployment);
+  const pulls = await findShippedPullRequests(octokit, repoInfo, previousSha, deployment.sha);
+
+  await notifyShippedRequests(
+    repoInfo,
+    pulls,
+    `deployed to \`${deployment.environment}\``,
+    status.environment_url || status.target_url,
+    deliveryId
+  );
+}
 
-      const result = await app.client.chat.postMessage(messageOptions);
+// Handle release webhook events (published, non-prerelease releases)
+async function handleReleaseEvent(payload, deliveryId) {
+  const { action, release } = payload;
+  if (action !== 'published' || release.prerelease || release.draft) return;
 
-      // For opened PRs, save the message ts so merge can thread under it
-      if (action === 'opened' && result.ts) {
-        await savePRSlackThread(pr.number, PR_NOTIFICATION_CHANNEL, result.ts);
-      }
+  const repoInfo = repoFromPayload(payload);
+  const previousTag = await findPreviousReleaseTag(octokit, repoInfo, release);
+  if (!previousTag) {
+    console.log(`No earlier release before ${release.tag_name} in ${repoInfo.owner}/${repoInfo.repo}, skipping shipped notifications`);
+    return;
+  }
+
+  const pulls = await findShippedPullRequests(octokit, repoInfo, previousTag, release.tag_name);
+  await notifyShippedRequests(repoInfo, pulls, `released in ${release.name || release.tag_name}`, release.html_url, deliveryId);
+}
+
+// Handle check_run, check_suite and status webhook events (CI status line on PR notifications)
+async function handleCIEvent(event, payload) {
+  // PR notification content is only stored in the database, so there's nothing to update without one
+  if (!isDatabaseConfigured()) return;
+
+  let sha;
+  let hinted = [];
+  if (event === 'check_run') {
+    sha = payload.check_run.head_sha;
+    hinted = payload.check_run.pull_requests;
+  } else if (event === 'check_suite') {
+    sha = payload.check_suite.head_sha;
+    hinted = payload.check_suite.pull_requests;
+  } else {
+    sha = payload.sha;
+  }
+
+  const repoInfo = repoFromPayload(payload);
+  const prNumbers = await findPullRequestsForSha(octokit, repoInfo, sha, hinted);
+  for (const prNumber of prNumbers) {
+    await enqueueJob('pr_ci_status', { repoInfo, prNumber });
+  }
+}
+
+// Handle GitHub webhook events
+// deliveryId (X-GitHub-Delivery) keys the queued jobs, so replaying a delivery doesn't repeat them
+async function handleGitHubWebhook(event, payload, deliveryId = null) {
+  // Only handle repos that billing requests are routed to
+  if (payload.repository && !isConfiguredRepo(payload.repository.full_name)) {
+    console.log(`Ignoring ${event} event from unrouted repo ${payload.repository.full_name}`);
+    return;
+  }
+
+  if (event === 'pull_request' || event === 'pull_request_review') {
+    await handlePullRequestEvent(event, payload, deliveryId);
+  } else if (event === 'issues') {
+    await handleIssueEvent(payload, deliveryId);
+  } else if (event === 'issue_comment') {
+    await handleIssueCommentEvent(payload, deliveryId);
+  } else if (event === 'deployment_status') {
+    await handleDeploymentStatusEvent(payload, deliveryId);
+  } else if (event === 'release') {
+    await handleReleaseEvent(payload, deliveryId);
+  } else if (event === 'check_run' || event === 'check_suite' || event === 'status') {
+    await handleCIEvent(event, payload);
+  }
+}
+
+// Run a webhook delivery through the handlers and record the outcome in the delivery log
+async function processWebhookDelivery(deliveryId, event, payload) {
+  let failure = null;
+  try {
+    await metrics.timeWebhookEvent(event, () => handleGitHubWebhook(event, payload, deliveryId));
+  } catch (error) {
+    console.error(`Webhook delivery ${deliveryId} (${event}) failed:`, error);
+    failure = error;
+  }
+
+  try {
+    await completeDelivery(deliveryId, failure);
+  } catch (error) {
+    console.error(`Failed to record outcome of webhook delivery ${deliveryId}:`, error.message);
+  }
+
+  return failure ? { status: 'failed', error: failure.message } : { status: 'succeeded' };
+}
+
+// Check the bearer token on an admin API request
+function verifyAdminToken(req) {
+  if (!ADMIN_API_TOKEN) return false; // Admin API is disabled unless a token is configured
+
+  const expected = Buffer.from(`Bearer ${ADMIN_API_TOKEN}`);
+  const provided = Buffer.from(req.headers['authorization'] || '');
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Send a JSON response
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Balance cache refresh started from the admin API (null when none is running)
+let balanceCacheRefresh = null;
+
+// Current configuration for the admin API (which secrets are set, never their values)
+function getAdminConfig() {
+  return {
+    routing: getRoutingConfig(),
+    notifications: {
+      pr_channel: PR_NOTIFICATION_CHANNEL,
+      issue_actions: ISSUE_NOTIFY_ACTIONS,
+      triage_channel: TRIAGE_CHANNEL,
+    },
+    admin_user_ids: ADMIN_USER_IDS,
+    fpa_channel_ids: FPA_CHANNEL_IDS,
+    database: isDatabaseConfigured(),
+    sla_check_interval_minutes: SLA_CHECK_INTERVAL_MINUTES,
+    fpa: financialAnalyst.checkConfiguration(),
+  };
+}
+
+// Handle admin API requests (token-protected)
+//   GET    /admin/webhook-deliveries?status=failed&limit=50 - list logged deliveries
+//   POST   /admin/webhook-deliveries/:id/replay             - re-run a failed delivery
+//   GET    /admin/jobs?status=dead&limit=50                 - list queued Slack/GitHub jobs
+//   POST   /admin/jobs/:id/retry                            - re-queue a dead-lettered job
+//   GET    /admin/conversations                             - list in-memory FPA conversations
+//   DELETE /admin/conversations[/:threadTs]                 - clear one (or every) FPA conversation
+//   GET    /admin/balance-cache                             - balance cache status
+//   POST   /admin/balance-cache/refresh                     - rebuild the balance cache from Rillet
+//   POST   /admin/rillet-mcp/reconnect                      - reconnect the Rillet MCP client
+//   GET    /admin/config                                    - routing table and non-secret config
+async function handleAdminRequest(req, res) {
+  if (!verifyAdminToken(req)) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+
+  const needsDatabase = url.pathname.startsWith('/admin/webhook-deliveries') || url.pathname.startsWith('/admin/jobs');
+  if (needsDatabase && !isDatabaseConfigured()) {
+    sendJson(res, 503, { error: 'This endpoint requires DATABASE_URL' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/admin/webhook-deliveries') {
+    const deliveries = await listDeliveries({
+      status: url.searchParams.get('status'),
+      limit: Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 500),
+    });
+    sendJson(res, 200, { deliveries });
+    return;
+  }
+
+  const replayMatch = url.pathname.match(/^\/admin\/webhook-deliveries\/([\w-]+)\/replay$/);
+  if (req.method === 'POST' && replayMatch) {
+    const delivery = await getDelivery(replayMatch[1]);
+    if (!delivery) {
+      sendJson(res, 404, { error: 'Delivery not found' });
+      return;
+    }
+
+    // Only failed (or stuck) deliveries can be replayed, and the jobs they already queued are
+    // skipped by their idempotency keys, so only the notifications that failed are retried
+    if (!(await claimDelivery(delivery.delivery_id, delivery.event, delivery.payload))) {
+      sendJson(res, 409, { error: `Delivery is ${delivery.status}, only failed deliveries can be replayed` });
+      return;
+    }
+
+    console.log(`Replaying webhook delivery ${delivery.delivery_id} (${delivery.event})`);
+    const result = await processWebhookDelivery(delivery.delivery_id, delivery.event, delivery.payload);
+    sendJson(res, 200, { delivery_id: delivery.delivery_id, ...result });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/admin/jobs') {
+    const jobs = await listJobs({
+      status: url.searchParams.get('status'),
+      limit: Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 500),
+    });
+    sendJson(res, 200, { jobs });
+    return;
+  }
+
+  const retryMatch = url.pathname.match(/^\/admin\/jobs\/(\d+)\/retry$/);
+  if (req.method === 'POST' && retryMatch) {
+    if (!(await retryDeadJob(parseInt(retryMatch[1], 10)))) {
+      sendJson(res, 404, { error: 'No dead-lettered job with that ID' });
+      return;
+    }
+    sendJson(res, 200, { id: parseInt(retryMatch[1], 10), status: 'queued' });
+    return;
+  }
+
+  if (url.pathname === '/admin/conversations') {
+    if (req.method === 'GET') {
+      sendJson(res, 200, { conversations: financialAnalyst.listConversations() });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      const cleared = financialAnalyst.clearAllConversations();
+      console.log(`[Admin] Cleared ${cleared} FPA conversation(s)`);
+      sendJson(res, 200, { cleared });
+      return;
+    }
+  }
+
+  const conversationMatch = url.pathname.match(/^\/admin\/conversations\/([\d.]+)$/);
+  if (req.method === 'DELETE' && conversationMatch) {
+    if (!financialAnalyst.clearConversation(conversationMatch[1])) {
+      sendJson(res, 404, { error: 'No conversation for that thread' });
+      return;
+    }
+    console.log(`[Admin] Cleared FPA conversation ${conversationMatch[1]}`);
+    sendJson(res, 200, { cleared: 1 });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/admin/balance-cache') {
+    const status = await financialAnalyst.getCacheStatus();
+    sendJson(res, 200, { ...status, refreshing: Boolean(balanceCacheRefresh) });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/admin/balance-cache/refresh') {
+    if (balanceCacheRefresh) {
+      sendJson(res, 409, { error: 'A refresh is already running' });
+      return;
+    }
+
+    // Rebuilding from Rillet takes minutes (longer than the Heroku router allows), so run it in the background
+    console.log('[Admin] Refreshing balance cache');
+    balanceCacheRefresh = financialAnalyst.refreshBalanceCache()
+      .then(balances => console.log(`[Admin] Balance cache refreshed (${Object.keys(balances).length} accounts)`))
+      .catch(error => console.error('[Admin] Balance cache refresh failed:', error))
+      .finally(() => { balanceCacheRefresh = null; });
+    sendJson(res, 202, { status: 'refreshing' });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/admin/rillet-mcp/reconnect') {
+    try {
+      const { tools } = await financialAnalyst.reconnectRilletMCP();
+      console.log(`[Admin] Reconnected Rillet MCP (${tools.length} tools)`);
+      sendJson(res, 200, { status: 'connected', tools });
+    } catch (error) {
+      sendJson(res, 502, { error: `Rillet MCP reconnect failed: ${error.message}` });
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/admin/config') {
+    sendJson(res, 200, getAdminConfig());
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// Dependencies checked by /readyz (Slack, GitHub and Postgres are required; the FPA bot's data sources are not)
+function getReadinessChecks() {
+  return {
+    slack: {
+      required: true,
+      run: async () => {
+        if (!app.receiver.client.isActive()) {
+          throw new Error('Socket Mode connection is not open');
+        }
+        await app.client.auth.test();
+      },
+    },
+    github: {
+      required: true,
+      run: async () => {
+        // The same call getBotLogin() makes, but errors are surfaced instead of swallowed
+        const { data } = await octokit.users.getAuthenticated();
+        return { login: data.login };
+      },
+    },
+    postgres: {
+      configured: isDatabaseConfigured(),
+      required: true,
+      run: async () => {
+        await requestsPool.query('SELECT 1');
+      },
+    },
+    ...financialAnalyst.getHealthChecks(),
+  };
+}
+
+// HTTP server for health checks, GitHub webhooks and the admin API
+const server = http.createServer(async (req, res) => {
+  // Admin API
+  if (req.url.startsWith('/admin/')) {
+    try {
+      await handleAdminRequest(req, res);
+    } catch (error) {
+      console.error('Admin API error:', error);
+      sendJson(res, 500, { error: 'Internal error' });
+    }
+    return;
+  }
+
+  // Liveness: the process is up and serving HTTP
+  if (req.method === 'GET' && req.url === '/healthz') {
+    sendJson(res, 200, getLiveness());
+    return;
+  }
+
+  // Readiness: Slack, GitHub and Postgres are reachable (503 if any of them isn't)
+  if (req.method === 'GET' && req.url === '/readyz') {
+    try {
+      const { ready, report } = await getReadiness(getReadinessChecks());
+      sendJson(res, ready ? 200 : 503, report);
+    } catch (error) {
+      console.error('Readiness check error:', error);
+      sendJson(res, 503, { status: 'unavailable', error: error.message });
+    }
+    return;
+  }
+
+  // Prometheus metrics
+  if (req.method === 'GET' && req.url === '/metrics') {
+    try {
+      res.writeHead(200, { 'Content-Type': metrics.register.contentType });
+      res.end(await metrics.register.metrics());
+    } catch (error) {
+      console.error('Metrics error:', error);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal error');
+    }
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Billing Requests app is running');
+    return;
+  }
+
+  // GitHub webhook endpoint
+  if (req.method === 'POST' && req.url === '/github-webhook') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      try {
+        // Verify signature
+        const signature = req.headers['x-hub-signature-256'];
+        if (!verifyGitHubSignature(body, signature)) {
+          // The event header of an unsigned request can't be trusted, so it isn't used as a label
+          metrics.recordWebhookEvent('unknown', 'invalid_signature');
+          res.writeHead(401, { 'Content-Type': 'text/plain' });
+          res.end('Invalid signature');
+          return;
+        }
+
+        const event = req.headers['x-github-event'];
+        const deliveryId = req.headers['x-github-delivery'];
+        const payload = JSON.parse(body);
+
+        if (!deliveryId) {
+          // Not from GitHub's delivery system (e.g., a manual test) - nothing to log
+          metrics.timeWebhookEvent(event, () => handleGitHubWebhook(event, payload)).catch(console.error);
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('OK');
+          return;
+        }
+
+        // Skip redeliveries of events that were already handled
+        let claimed = true;
+        try {
+          claimed = await claimDelivery(deliveryId, event, payload);
+        } catch (error) {
+          console.error(`Failed to log webhook delivery ${deliveryId}, processing anyway:`, error.message);
+        }
+        if (!claimed) {
+          console.log(`Skipping duplicate webhook delivery ${deliveryId} (${event})`);
+          metrics.recordWebhookEvent(event, 'duplicate');
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end('Already processed');
+          return;
+        }
+
+        // Process webhook asynchronously (GitHub times out after 10 seconds)
+        processWebhookDelivery(deliveryId, event, payload);
+
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('OK');
+      } catch (error) {
+        console.error('Webhook error:', error);
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal error');
+      }
+    });
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found');
+});
+
+// Reply to `/billingapp-request status` and `/billingapp-request mine`
+// status: the caller's open requests; mine: all of the caller's requests, including closed
+async function handleStatusCommand(body, client, logger, subcommand) {
+  const state = subcommand === 'mine' ? 'all' : 'open';
+  const heading = state === 'open' ? 'Your open billing requests' : 'Your billing requests';
+
+  try {
+    const statuses = await getRequestStatuses(octokit, body.user_id, { state });
+
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `${heading}: ${statuses.length} found`,
+      blocks: buildStatusBlocks(statuses, heading),
+    });
+  } catch (error) {
+    logger.error('Error looking up request status:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: ':warning: Couldn\'t look up your billing requests right now. Please try again in a few moments.',
+    });
+  }
+}
+
+// Reply to `/billingapp-request top` with open requests ranked by +1 votes
+async function handleTopCommand(body, client, logger) {
+  try {
+    const ranked = await findTopVotedRequests(octokit);
+
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `Most-requested open billing requests: ${ranked.length} found`,
+      blocks: buildTopVotedBlocks(ranked),
+    });
+  } catch (error) {
+    logger.error('Error ranking requests by votes:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: ':warning: Couldn\'t rank billing requests right now. Please try again in a few moments.',
+    });
+  }
+}
+
+// Reply to `/billingapp-request sla` with response times per priority over the last 30 days
+async function handleSlaCommand(body, client, logger) {
+  const days = 30;
+
+  try {
+    const report = await getSlaReport(octokit, { days });
+
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `Billing request SLAs - last ${days} days`,
+      blocks: buildSlaReportBlocks(report, days),
+    });
+  } catch (error) {
+    logger.error('Error building SLA report:', error);
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: ':warning: Couldn\'t build the SLA report right now. Please try again in a few moments.',
+    });
+  }
+}
+
+// Handle the /billingapp-request slash command
+app.command('/billingapp-request', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const subcommand = (body.text || '').trim().toLowerCase();
+  if (subcommand === 'status' || subcommand === 'mine') {
+    await handleStatusCommand(body, client, logger, subcommand);
+    return;
+  }
+  if (subcommand === 'sla') {
+    await handleSlaCommand(body, client, logger);
+    return;
+  }
+  if (subcommand === 'top') {
+    await handleTopCommand(body, client, logger);
+    return;
+  }
+
+  try {
+    const view = addDraftBlocks(buildModalView());
+    // Store channel ID in private_metadata to post confirmation there
+    view.private_metadata = JSON.stringify({ channel_id: body.channel_id });
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view,
+    });
+  } catch (error) {
+    logger.error('Error opening modal:', error);
+  }
+});
+
+// Handle the "Create billing request" message shortcut
+// Opens the same modal prefilled from the message, and threads the confirmation under it
+app.shortcut('create_billing_request', async ({ ack, shortcut, client, logger }) => {
+  await ack();
+
+  try {
+    const channelId = shortcut.channel.id;
+    const message = shortcut.message;
+
+    const { permalink } = await client.chat.getPermalink({
+      channel: channelId,
+      message_ts: message.ts,
+    });
+
+    // plain_text_input values are capped at 3000 characters
+    const view = addDraftBlocks(buildModalView(null, { description: (message.text || '').substring(0, 3000) }));
+    view.private_metadata = JSON.stringify({
+      channel_id: channelId,
+      // Replies must go on the thread root, even if the shortcut was used on a reply
+      thread_ts: message.thread_ts || message.ts,
+      source_permalink: permalink,
+      reporter_id: message.user,
+    });
+
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view,
+    });
+  } catch (error) {
+    logger.error('Error opening modal from message shortcut:', error);
+  }
+});
+
+// Handle type selection to re-render the form with that type's fields
+app.action('type_select', async ({ ack, body, client, logger }) => {
+  await ack();
+
+  try {
+    // Carry every field the user has filled in over to the new layout
+    const currentView = body.view;
+    const metadata = JSON.parse(currentView.private_metadata || '{}');
+    const values = restoreFiles(readFormValues(currentView.state.values), metadata);
+
+    // Keep the block ID revision so text typed since the last draft is kept
+    const updatedView = addDraftBlocks(buildModalView(values.type, values, metadata.draft_rev || 0));
+    // Preserve private_metadata (channel ID) plus any files already uploaded
+    updatedView.private_metadata = JSON.stringify(stashFiles(metadata, values));
+
+    await client.views.update({
+      view_id: currentView.id,
+      hash: currentView.hash,
+      view: updatedView,
+    });
+  } catch (error) {
+    logger.error('Error updating modal:', error);
+  }
+});
+
+// Handle "Help me write this" - replace the rough request with a Claude draft the requester can edit
+app.action(DRAFT_ACTION_ID, async ({ ack, body, client, logger }) => {
+  await ack();
+
+  const currentView = body.view;
+  const metadata = JSON.parse(currentView.private_metadata || '{}');
+  const values = restoreFiles(readFormValues(currentView.state.values), metadata);
+  const revision = metadata.draft_rev || 0;
+
+  // Re-render the modal with a note under the drafting button
+  // Slack keeps typed input for unchanged block IDs, so the draft is rendered under a new revision
+  const render = (formValues, note, draftRev = revision) => {
+    const view = addDraftBlocks(buildModalView(formValues.type, formValues, draftRev), note);
+    view.private_metadata = JSON.stringify({ ...stashFiles(metadata, values), draft_rev: draftRev });
+    return view;
+  };
+
+  try {
+    if (!values.title && !values.description) {
+      await client.views.update({
+        view_id: currentView.id,
+        hash: currentView.hash,
+        view: render(values, ':pencil2: Write a rough title or description first, then ask for help.'),
+      });
+      return;
+    }
+
+    // Drafting can take a few seconds - show that it's under way
+    const { view: pendingView } = await client.views.update({
+      view_id: currentView.id,
+      hash: currentView.hash,
+      view: render(values, ':hourglass_flowing_sand: Drafting your request...'),
+    });
+
+    let drafted = values;
+    let draftRev = revision;
+    let note;
+    try {
+      const draft = await draftRequest(values);
+      drafted = { ...values };
+      for (const [key, value] of Object.entries(draft.values)) {
+        if (value) drafted[key] = value;
+      }
+      // Suggestions only fill in a type or priority the requester hasn't chosen
+      drafted.type = values.type || draft.suggestion.type;
+      drafted.priority = values.priority || draft.suggestion.priority;
+      note = describeSuggestion(draft.suggestion);
+      draftRev = revision + 1;
+    } catch (error) {
+      logger.error('Error drafting billing request:', error);
+      note = ':warning: Couldn\'t draft your request right now. Try again, or carry on writing it yourself.';
+    }
+
+    await client.views.update({
+      view_id: pendingView.id,
+      hash: pendingView.hash,
+      view: render(drafted, note, draftRev),
+    });
+  } catch (error) {
+    logger.error('Error updating modal with draft:', error);
+  }
+});
+
+// How many times recordVote() rereads the issue when its body changes mid-update
+const VOTE_WRITE_ATTEMPTS = 3;
+
+// Record a +1 vote on an existing request (from its vote button, or a new request that turned out to be a duplicate)
+// The voter and their note are added to the issue's vote section; `filing` is the title of the request they were filing instead
+async function recordVote(client, logger, { repoInfo, issueNumber, userId, channelId, note = null, filing = null }) {
+  const getIssue = () => octokit.issues.get({
+    owner: repoInfo.owner,
+    repo: repoInfo.repo,
+    issue_number: issueNumber,
+  }).then(({ data }) => data);
+
+  try {
+    let issue;
+    let votes;
+    let added;
+    let name;
+
+    // GitHub has no conditional issue update, so the vote section's read-modify-write
+    // is checked instead: start over if the body changed before the write, or if a
+    // concurrent vote overwrote ours afterwards
+    for (let attempt = 1; ; attempt++) {
+      issue = await getIssue();
+
+      if (extractSubmitter(issue.body) === userId) {
+        await client.chat.postEphemeral({
+          channel: channelId,
+          user: userId,
+          text: `:information_source: You filed <${issue.html_url}|#${issue.number}>, so you're already counted.`,
+        });
+        return;
+      }
+      if (issue.state !== 'open') {
+        await client.chat.postEphemeral({
+          channel: channelId,
+          user: userId,
+          text: `:information_source: <${issue.html_url}|#${issue.number}: ${issue.title}> is already closed.`,
+        });
+        return;
+      }
+
+      if (name === undefined) {
+        name = await getSlackUserName(client, userId);
+      }
+      let updatedBody;
+      ({ body: updatedBody, votes, added } = addVote(issue.body, { user_id: userId, name, note }));
+
+      if ((await getIssue()).body === issue.body) {
+        await octokit.issues.update({
+          owner: repoInfo.owner,
+          repo: repoInfo.repo,
+          issue_number: issueNumber,
+          body: updatedBody,
+        });
+        if (parseVotes((await getIssue()).body).some(vote => vote.user_id === userId)) {
+          break;
+        }
+      }
+
+      if (attempt >= VOTE_WRITE_ATTEMPTS) {
+        throw new Error(`Issue body kept changing while recording the vote (${attempt} attempts)`);
+      }
+    }
+
+    if (added) {
+      const quoted = note ? `\n\n${note.split('\n').map(line => `> ${line}`).join('\n')}` : '';
+      await octokit.issues.createComment({
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        issue_number: issueNumber,
+        body: `**+1 via Slack:** <@${userId}> is also affected${filing ? ` (was filing "${filing}")` : ''}.${quoted}\n\n${SLACK_SYNC_MARKER}`,
+      });
+
+      // Let the original requester's thread know someone else hit this too
+      const { channelId: issueChannelId, threadTs } = await getIssueThread(repoInfo, issue);
+      if (issueChannelId && threadTs) {
+        await client.chat.postMessage({
+          channel: issueChannelId,
+          thread_ts: threadTs,
+          text: `:raised_hand: <@${userId}> is also affected by this request (${votes.length} +1 vote${votes.length === 1 ? '' : 's'} so far).`,
+        });
+      }
+    }
+
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: added
+        ? `:+1: Added your +1 to <${issue.html_url}|#${issue.number}: ${issue.title}>${filing ? ' instead of filing a new request' : ''}.`
+        : `:+1: You've already +1'd <${issue.html_url}|#${issue.number}: ${issue.title}>${note ? ' - updated your note' : ''}.`,
+    });
+
+    logger.info(`Recorded +1 from ${userId} on GitHub issue ${repoInfo.fullName}#${issueNumber} (${votes.length} total)`);
+  } catch (error) {
+    logger.error(`Error recording +1 on issue #${issueNumber}:`, error);
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: userId,
+      text: `:warning: Couldn't add your +1 to issue #${issueNumber}. Please try again or comment on the issue directly.`,
+    });
+  }
+}
+
+// Build the request confirmation message blocks
+// Open requests get Edit / Withdraw buttons; withdrawn ones say who withdrew them instead.
+function buildConfirmationBlocks({ submitterId, title, type, priority, repoInfo, issue, withdrawnBy = null }) {
+  const issueRef = `${repoInfo.owner}/${repoInfo.repo}#${issue.number}`;
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Billing request submitted by <@${submitterId}>*`,
+      },
+    },
+    {
+      type: 'section',
+      fields: [
+        {
+          type: 'mrkdwn',
+          text: `*Title:*\n${title}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*Type:*\n${getOptionLabel('type', type)}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*Priority:*\n${getOptionLabel('priority', priority)}`,
+        },
+        {
+          type: 'mrkdwn',
+          text: `*Issue:*\n${repoInfo.repo}#${issue.number}`,
+        },
+      ],
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `<${issue.html_url}|View Issue on GitHub>`,
+      },
+    },
+  ];
+
+  if (withdrawnBy) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: `:no_entry_sign: Withdrawn by <@${withdrawnBy}>`,
+        },
+      ],
+    });
+    return blocks;
+  }
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        action_id: VOTE_ACTION_ID,
+        text: { type: 'plain_text', text: ':raised_hand: +1 / Affects me too', emoji: true },
+        value: issueRef,
+      },
+      {
+        type: 'button',
+        action_id: 'edit_request',
+        text: { type: 'plain_text', text: 'Edit' },
+        value: issueRef,
+      },
+      {
+        type: 'button',
+        action_id: 'withdraw_request',
+        text: { type: 'plain_text', text: 'Withdraw' },
+        style: 'danger',
+        value: issueRef,
+        confirm: {
+          title: { type: 'plain_text', text: 'Withdraw request?' },
+          text: { type: 'mrkdwn', text: 'This closes the GitHub issue as withdrawn by the requester.' },
+          confirm: { type: 'plain_text', text: 'Withdraw' },
+          deny: { type: 'plain_text', text: 'Keep it' },
+        },
+      },
+    ],
+  });
+
+  return blocks;
+}
+
+// Handle modal submission
+app.view('billing_request_modal', async ({ ack, body, view, client, logger }) => {
+  const metadata = JSON.parse(view.private_metadata || '{}');
+  const values = restoreFiles(readFormValues(view.state.values), metadata);
+  const { title, type, priority } = values;
+
+  // Get user info and channel
+  const userId = body.user.id;
+  const channelId = metadata.channel_id;
+
+  // Pick the destination repo, labels and assignees for this request
+  const route = resolveRoute({ channel: channelId, type, area: values.area });
+
+  // On first submit, look for similar open issues and let the user pick one instead
+  const duplicateChoice = readDuplicateChoice(view.state.values);
+  if (!duplicateChoice.checked) {
+    let matches = [];
+    try {
+      matches = await findSimilarIssues(octokit, {
+        owner: route.owner,
+        repo: route.repo,
+        title,
+        description: values.description,
+      });
+    } catch (error) {
+      // Don't block filing if search is unavailable or too slow
+      logger.error('Skipping duplicate check, search failed:', error.message);
+    }
+
+    if (matches.length > 0) {
+      const reviewView = addDraftBlocks(buildModalView(type, values, metadata.draft_rev || 0));
+      reviewView.blocks.push(...buildDuplicateBlocks(matches));
+      reviewView.private_metadata = JSON.stringify(stashFiles(metadata, values));
+      await ack({ response_action: 'update', view: reviewView });
+      return;
+    }
+  }
+
+  // User marked this as a duplicate - +1 the existing issue instead of filing a new one
+  if (duplicateChoice.issueNumber) {
+    await ack();
+    await recordVote(client, logger, {
+      repoInfo: route,
+      issueNumber: duplicateChoice.issueNumber,
+      userId,
+      channelId,
+      note: values.description,
+      filing: title,
+    });
+    return;
+  }
+
+  try {
+    // Build GitHub issue body from the form schema (attachments are added once uploaded)
+    let bodyFooter = `**Submitted via:** Slack by <@${userId}>\n`;
+    if (metadata.reporter_id && metadata.reporter_id !== userId) {
+      bodyFooter += `**Reported by:** <@${metadata.reporter_id}>\n`;
+    }
+    if (metadata.source_permalink) {
+      bodyFooter += `**Source message:** ${metadata.source_permalink}\n`;
+    }
+    bodyFooter += `\n`;
+
+    // Hidden, machine-readable metadata (HTML comment not rendered in GitHub)
+    const requestMetadata = {
+      requester_id: userId,
+      reporter_id: metadata.reporter_id || null,
+      channel_id: channelId,
+      thread_ts: null,
+      type,
+      priority,
+      source_permalink: metadata.source_permalink || null,
+      form_version: FORM_VERSION,
+    };
+    const issueBody = buildIssueBody({ ...values, attachments: null }) + bodyFooter + buildMetadataBlock(requestMetadata);
+
+    // Type and priority labels plus any default labels for the route
+    const labels = Array.from(new Set([type, priority, ...route.labels]));
+
+    // Create GitHub issue (without thread_ts initially)
+    const { data: issue } = await octokit.issues.create({
+      owner: route.owner,
+      repo: route.repo,
+      title: title,
+      body: issueBody,
+      labels: labels,
+      assignees: route.assignees,
+    });
+    metrics.recordRequestCreated(type, priority);
+
+    // Acknowledge the submission
+    await ack();
+
+    // Send confirmation message to channel
+    // Requests made from a message shortcut are confirmed in that message's thread
+    const messageResult = await client.chat.postMessage({
+      channel: channelId,
+      thread_ts: metadata.thread_ts,
+      text: `Billing request submitted by <@${userId}>`,
+      metadata: {
+        event_type: BILLING_REQUEST_EVENT,
+        event_payload: { repo: route.fullName, issue_number: issue.number },
+      },
+      blocks: buildConfirmationBlocks({
+        submitterId: userId,
+        title,
+        type,
+        priority,
+        repoInfo: route,
+        issue,
+      }),
+    });
+
+    // Copy uploaded files onto GitHub (after ack - downloads can outlast Slack's 3s limit)
+    let attachmentsMarkdown = null;
+    if (values.attachments?.length) {
+      try {
+        const attachments = await uploadAttachments(client, octokit, route, values.attachments);
+        attachmentsMarkdown = formatAttachmentsMarkdown(attachments);
+      } catch (error) {
+        logger.error(`Error attaching files to issue #${issue.number}:`, error);
+      }
+    }
+
+    // Link the issue to its Slack thread for webhook notifications and comment sync
+    const threadTs = metadata.thread_ts || messageResult.ts;
+    await saveIssueThread(route, issue.number, channelId, threadTs);
+
+    // Update the GitHub issue with attachments and the Slack thread timestamp
+    // (the metadata block keeps threading working when no database is configured)
+    if (threadTs || attachmentsMarkdown) {
+      const updatedBody = buildIssueBody({ ...values, attachments: attachmentsMarkdown }) +
+        bodyFooter +
+        buildMetadataBlock({ ...requestMetadata, thread_ts: threadTs || null });
+      await octokit.issues.update({
+        owner: route.owner,
+        repo: route.repo,
+        issue_number: issue.number,
+        body: updatedBody,
+      });
+    }
+
+    // Hand the new request to the triage channel
+    if (TRIAGE_CHANNEL) {
+      await postTriageMessage(client, logger, {
+        issue,
+        repoInfo: route,
+        submitterId: userId,
+        type,
+        priority,
+        description: values.description,
+      });
+    }
+
+    logger.info(`Created GitHub issue ${route.fullName}#${issue.number}: ${title}`);
+  } catch (error) {
+    logger.error('Error creating GitHub issue:', error);
+
+    // Acknowledge with error
+    await ack({
+      response_action: 'errors',
+      errors: {
+        [fieldBlockId('title', metadata.draft_rev || 0)]: 'Failed to create GitHub issue. Please try again or contact support.',
+      },
+    });
+  }
+});
+
+// Tell a user they can't manage someone else's request
+async function postNotAllowed(client, body, verb) {
+  await client.chat.postEphemeral({
+    channel: body.channel.id,
+    user: body.user.id,
+    text: `:lock: Only the person who submitted this request or a billing admin can ${verb} it.`,
+  });
+}
+
+// Replace an issue's priority label
+async function swapPriorityLabel(ref, previousPriority, priority) {
+  if (previousPriority) {
+    try {
+      await octokit.issues.removeLabel({
+        owner: ref.owner,
+        repo: ref.repo,
+        issue_number: ref.issueNumber,
+        name: previousPriority,
+      });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  }
+  await octokit.issues.addLabels({
+    owner: ref.owner,
+    repo: ref.repo,
+    issue_number: ref.issueNumber,
+    labels: [priority],
+  });
+}
+
+// Handle the +1 button on a request - ask for an optional note on how it affects the voter
+app.action(VOTE_ACTION_ID, async ({ ack, body, action, client, logger }) => {
+  await ack();
+
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildVoteModal({
+        issue_ref: action.value,
+        channel_id: body.channel.id,
+      }),
+    });
+  } catch (error) {
+    logger.error('Error opening vote modal:', error);
+  }
+});
+
+// Handle +1 modal submission
+app.view(VOTE_MODAL_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  await ack();
+
+  const metadata = JSON.parse(view.private_metadata || '{}');
+  const ref = parseIssueRef(metadata.issue_ref);
+  await recordVote(client, logger, {
+    repoInfo: ref,
+    issueNumber: ref.issueNumber,
+    userId: body.user.id,
+    channelId: metadata.channel_id,
+    note: view.state.values.vote_note_block?.vote_note_input?.value || null,
+  });
+});
+
+// Handle the Edit button on a request confirmation
+app.action('edit_request', async ({ ack, body, action, client, logger }) => {
+  await ack();
+
+  try {
+    const ref = parseIssueRef(action.value);
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+    });
+
+    if (!canManageRequest(body.user.id, issue)) {
+      await postNotAllowed(client, body, 'edit');
+      return;
+    }
+
+    const view = buildEditModalView({ ...parseIssueBody(issue.body), title: issue.title });
+    view.private_metadata = JSON.stringify({
+      issue_ref: action.value,
+      channel_id: body.channel.id,
+      message_ts: body.message.ts,
+    });
+
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view,
+    });
+  } catch (error) {
+    logger.error('Error opening edit modal:', error);
+  }
+});
+
+// Handle edit modal submission - update the issue, its priority label and the confirmation
+app.view('billing_request_edit_modal', async ({ ack, body, view, client, logger }) => {
+  await ack();
+
+  const userId = body.user.id;
+  const metadata = JSON.parse(view.private_metadata || '{}');
+  const ref = parseIssueRef(metadata.issue_ref);
+  const { title, priority, description } = readFormValues(view.state.values);
+
+  try {
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+    });
+
+    if (!canManageRequest(userId, issue)) {
+      logger.warn(`User ${userId} tried to edit ${metadata.issue_ref} without permission`);
+      // The modal has already closed, so say why nothing was saved (as postNotAllowed() does)
+      await client.chat.postEphemeral({
+        channel: metadata.channel_id,
+        user: userId,
+        text: ':lock: Only the person who submitted this request or a billing admin can edit it. Your changes weren\'t saved.',
+      });
+      return;
+    }
+
+    const previous = { ...parseIssueBody(issue.body), title: issue.title };
+    const { data: updated } = await octokit.issues.update({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      title,
+      body: setIssueMetadata(updateIssueBody(issue.body, { priority, description }), { priority }),
+    });
+
+    if (previous.priority !== priority) {
+      await swapPriorityLabel(ref, previous.priority, priority);
+    }
+
+    await client.chat.update({
+      channel: metadata.channel_id,
+      ts: metadata.message_ts,
+      text: `Billing request submitted by <@${extractSubmitter(issue.body)}>`,
+      metadata: {
+        event_type: BILLING_REQUEST_EVENT,
+        event_payload: { repo: ref.fullName, issue_number: ref.issueNumber },
+      },
+      blocks: buildConfirmationBlocks({
+        submitterId: extractSubmitter(issue.body),
+        title,
+        type: previous.type,
+        priority,
+        repoInfo: ref,
+        issue: updated,
+      }),
+    });
+
+    // Note what changed in the request's thread
+    const changed = ['title', 'priority', 'description']
+      .filter(key => ({ title, priority, description })[key] !== previous[key]);
+    const { channelId, threadTs } = await getIssueThread(ref, issue);
+    if (channelId && threadTs && changed.length > 0) {
+      await client.chat.postMessage({
+        channel: channelId,
+        thread_ts: threadTs,
+        text: `:pencil2: <@${userId}> edited this request (${changed.join(', ')}).`,
+      });
+    }
+
+    logger.info(`User ${userId} edited ${metadata.issue_ref}: ${changed.join(', ') || 'no changes'}`);
+  } catch (error) {
+    logger.error(`Error editing ${metadata.issue_ref}:`, error);
+    await client.chat.postEphemeral({
+      channel: metadata.channel_id,
+      user: userId,
+      text: ':warning: Couldn\'t save your changes to the GitHub issue. Please try again.',
+    });
+  }
+});
+
+// Handle the Withdraw button on a request confirmation - close the issue as not planned
+app.action('withdraw_request', async ({ ack, body, action, client, logger }) => {
+  await ack();
+
+  const userId = body.user.id;
+  const ref = parseIssueRef(action.value);
+
+  try {
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+    });
+
+    if (!canManageRequest(userId, issue)) {
+      await postNotAllowed(client, body, 'withdraw');
+      return;
+    }
+
+    if (issue.state === 'closed') {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: userId,
+        text: `Issue #${issue.number} is already closed.`,
+      });
+      return;
+    }
+
+    const submitterId = extractSubmitter(issue.body);
+    const who = submitterId === userId ? 'requester' : 'billing admin';
+    await octokit.issues.createComment({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      body: `Withdrawn by ${who} <@${userId}> via Slack.\n\n${SLACK_SYNC_MARKER}`,
+    });
+    await octokit.issues.update({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      state: 'closed',
+      state_reason: 'not_planned',
+    });
+
+    const values = parseIssueBody(issue.body);
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: `Billing request submitted by <@${submitterId}>`,
+      metadata: {
+        event_type: BILLING_REQUEST_EVENT,
+        event_payload: { repo: ref.fullName, issue_number: ref.issueNumber },
+      },
+      blocks: buildConfirmationBlocks({
+        submitterId,
+        title: issue.title,
+        type: values.type,
+        priority: values.priority,
+        repoInfo: ref,
+        issue,
+        withdrawnBy: userId,
+      }),
+    });
+
+    logger.info(`User ${userId} withdrew ${action.value}`);
+  } catch (error) {
+    logger.error(`Error withdrawing ${action.value}:`, error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: userId,
+      text: ':warning: Couldn\'t withdraw the request. Please try again or close the issue on GitHub.',
+    });
+  }
+});
+
+// Post a new request to the triage channel, with controls for the repo's assignees and labels
+async function postTriageMessage(client, logger, request) {
+  const { repoInfo, issue } = request;
+
+  try {
+    const [assignees, labels] = await Promise.all([
+      octokit.issues.listAssignees({ owner: repoInfo.owner, repo: repoInfo.repo, per_page: 100 }),
+      octokit.issues.listLabelsForRepo({ owner: repoInfo.owner, repo: repoInfo.repo, per_page: 100 }),
+    ]);
+
+    // Type and priority have their own controls
+    const managed = new Set([...REQUEST_TYPES, ...PRIORITIES].map(o => o.value));
+
+    await client.chat.postMessage({
+      channel: TRIAGE_CHANNEL,
+      text: `New billing request: ${issue.title}`,
+      blocks: buildTriageBlocks({
+        ...request,
+        assignees: assignees.data.map(a => a.login),
+        labels: labels.data.map(l => l.name).filter(name => !managed.has(name)),
+      }),
+      unfurl_links: false,
+    });
+  } catch (error) {
+    logger.error(`Error posting ${repoInfo.fullName}#${issue.number} to triage:`, error);
+  }
+}
+
+// Note a triage action on the triage message and in the requester's thread
+// blocks are the triage message's current blocks (looked up when not given, e.g. from a modal)
+async function recordTriageAction(client, { ref, issue, channelId, messageTs, blocks }, line) {
+  if (!blocks) {
+    const history = await client.conversations.history({
+      channel: channelId,
+      latest: messageTs,
+      inclusive: true,
+      limit: 1,
+    });
+    blocks = history.messages?.[0]?.blocks || [];
+  }
+
+  await client.chat.update({
+    channel: channelId,
+    ts: messageTs,
+    text: `New billing request: ${issue.title}`,
+    blocks: appendTriageLog(blocks, line),
+  });
+
+  const { channelId: requestChannelId, threadTs } = await getIssueThread(ref, issue);
+  if (requestChannelId && threadTs) {
+    await client.chat.postMessage({
+      channel: requestChannelId,
+      thread_ts: threadTs,
+      text: line,
+    });
+  }
+}
+
+// Run a triage control against its issue and record what it did
+// apply(ref, issue) makes the change and returns the line to record (or null if nothing changed)
+async function handleTriageControl({ body, action, client, logger }, apply) {
+  const ref = parseIssueRef(getTriageRef(action));
+
+  try {
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+    });
 
-      console.log(`Notified ${PR_NOTIFICATION_CHANNEL} about PR #${pr.number}${threadTs ? ' (threaded)' : ''}`);
-    } catch (error) {
-      console.error(`Failed to notify ${PR_NOTIFICATION_CHANNEL}:`, error.message);
-    }
+    const line = await apply(ref, issue);
+    if (!line) return;
+
+    await recordTriageAction(client, {
+      ref,
+      issue,
+      channelId: body.channel.id,
+      messageTs: body.message.ts,
+      blocks: body.message.blocks,
+    }, line);
+    logger.info(`Triage on ${ref.fullName}#${ref.issueNumber} by ${body.user.id}: ${action.action_id}`);
+  } catch (error) {
+    logger.error(`Error applying ${action.action_id} to ${ref.fullName}#${ref.issueNumber}:`, error);
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: ':warning: Couldn\'t update the GitHub issue. Please try again or make the change on GitHub.',
+    });
   }
 }
 
-// HTTP server for health checks and GitHub webhooks
-const server = http.createServer(async (req, res) => {
-  // Health check endpoint
-  if (req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('Billing Requests app is running');
-    return;
-  }
+// Re-render a request's confirmation message from the issue (after a change made outside the Edit modal)
+// The confirmation is found by its message metadata in the request's thread.
+async function refreshConfirmationMessage(client, ref, issue) {
+  const { channelId, threadTs } = await getIssueThread(ref, issue);
+  if (!channelId || !threadTs) return;
+
+  const result = await client.conversations.replies({
+    channel: channelId,
+    ts: threadTs,
+    limit: 200,
+    include_all_metadata: true,
+  });
+  const confirmation = result.messages?.find(m =>
+    m.metadata?.event_type === BILLING_REQUEST_EVENT &&
+    m.metadata.event_payload?.issue_number === ref.issueNumber &&
+    m.metadata.event_payload?.repo?.toLowerCase() === ref.fullName.toLowerCase()
+  );
+  if (!confirmation) return;
+
+  const { type, priority } = parseIssueBody(issue.body);
+  const submitterId = extractSubmitter(issue.body);
+  await client.chat.update({
+    channel: channelId,
+    ts: confirmation.ts,
+    text: `Billing request submitted by <@${submitterId}>`,
+    metadata: confirmation.metadata,
+    blocks: buildConfirmationBlocks({
+      submitterId,
+      title: issue.title,
+      type,
+      priority,
+      repoInfo: ref,
+      issue,
+    }),
+  });
+}
 
-  // GitHub webhook endpoint
-  if (req.method === 'POST' && req.url === '/github-webhook') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', async () => {
-      try {
-        // Verify signature
-        const signature = req.headers['x-hub-signature-256'];
-        if (!verifyGitHubSignature(body, signature)) {
-          res.writeHead(401, { 'Content-Type': 'text/plain' });
-          res.end('Invalid signature');
-          return;
-        }
+// Triage: set the priority (label, issue body and the requester's confirmation message)
+app.action('triage_priority', async ({ ack, body, action, client, logger }) => {
+  await ack();
 
-        const event = req.headers['x-github-event'];
-        const payload = JSON.parse(body);
+  await handleTriageControl({ body, action, client, logger }, async (ref, issue) => {
+    const priority = action.selected_option.value;
+    const previous = parseIssueBody(issue.body).priority;
+    if (previous === priority) return null;
 
-        // Process webhook asynchronously
-        handleGitHubWebhook(event, payload).catch(console.error);
+    const { data: updated } = await octokit.issues.update({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      body: setIssueMetadata(updateIssueBody(issue.body, { priority }), { priority }),
+    });
+    await swapPriorityLabel(ref, previous, priority);
 
-        res.writeHead(200, { 'Content-Type': 'text/plain' });
-        res.end('OK');
+    // Withdrawn requests keep their "withdrawn" confirmation
+    if (updated.state === 'open') {
+      try {
+        await refreshConfirmationMessage(client, ref, updated);
       } catch (error) {
-        console.error('Webhook error:', error);
-        res.writeHead(500, { 'Content-Type': 'text/plain' });
-        res.end('Internal error');
+        logger.error(`Error refreshing the confirmation message for ${ref.fullName}#${ref.issueNumber}:`, error);
       }
-    });
-    return;
-  }
-
-  res.writeHead(404, { 'Content-Type': 'text/plain' });
-  res.end('Not found');
+    }
+    return `:label: Priority set to *${getOptionLabel('priority', priority)}* by <@${body.user.id}>`;
+  });
 });
 
-// Build the modal view
-function buildModalView(showStepsToReproduce = false) {
-  const blocks = [
-    {
-      type: 'input',
-      block_id: 'title_block',
-      element: {
-        type: 'plain_text_input',
-        action_id: 'title_input',
-        placeholder: {
-          type: 'plain_text',
-          text: 'Enter a brief title for your request',
-        },
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Title',
-      },
-    },
-    {
-      type: 'input',
-      block_id: 'type_block',
-      element: {
-        type: 'static_select',
-        action_id: 'type_select',
-        placeholder: {
-          type: 'plain_text',
-          text: 'Select type',
-        },
-        options: [
-          {
-            text: { type: 'plain_text', text: 'Bug' },
-            value: 'bug',
-          },
-          {
-            text: { type: 'plain_text', text: 'Feature' },
-            value: 'feature',
-          },
-          {
-            text: { type: 'plain_text', text: 'Enhancement' },
-            value: 'enhancement',
-          },
-        ],
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Type',
-      },
-    },
-    {
-      type: 'input',
-      block_id: 'priority_block',
-      element: {
-        type: 'static_select',
-        action_id: 'priority_select',
-        placeholder: {
-          type: 'plain_text',
-          text: 'Select priority',
-        },
-        options: [
-          {
-            text: { type: 'plain_text', text: 'Urgent' },
-            value: 'urgent',
-          },
-          {
-            text: { type: 'plain_text', text: 'High' },
-            value: 'high',
-          },
-          {
-            text: { type: 'plain_text', text: 'Medium' },
-            value: 'medium',
-          },
-          {
-            text: { type: 'plain_text', text: 'Low' },
-            value: 'low',
-          },
-        ],
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Priority',
-      },
-    },
-    {
-      type: 'input',
-      block_id: 'description_block',
-      element: {
-        type: 'plain_text_input',
-        action_id: 'description_input',
-        multiline: true,
-        placeholder: {
-          type: 'plain_text',
-          text: 'Describe the issue or feature request in detail',
-        },
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Description',
-      },
-    },
-  ];
+// Triage: assign a GitHub user
+app.action('triage_assignee', async ({ ack, body, action, client, logger }) => {
+  await ack();
 
-  // Conditionally add "Steps to Reproduce" field for bugs
-  if (showStepsToReproduce) {
-    blocks.push({
-      type: 'input',
-      block_id: 'steps_block',
-      element: {
-        type: 'plain_text_input',
-        action_id: 'steps_input',
-        multiline: true,
-        placeholder: {
-          type: 'plain_text',
-          text: '1. Go to...\n2. Click on...\n3. Observe that...',
-        },
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Steps to Reproduce',
-      },
-      optional: true,
+  await handleTriageControl({ body, action, client, logger }, async (ref) => {
+    const login = action.selected_option.value;
+    await octokit.issues.addAssignees({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      assignees: [login],
     });
-  }
+    return `:bust_in_silhouette: Assigned to *${login}* by <@${body.user.id}>`;
+  });
+});
 
-  // Add remaining fields
-  blocks.push(
-    {
-      type: 'input',
-      block_id: 'acceptance_block',
-      element: {
-        type: 'plain_text_input',
-        action_id: 'acceptance_input',
-        multiline: true,
-        placeholder: {
-          type: 'plain_text',
-          text: 'What should happen when this is complete?',
-        },
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Acceptance Criteria',
-      },
-    },
-    {
-      type: 'input',
-      block_id: 'attachments_block',
-      element: {
-        type: 'plain_text_input',
-        action_id: 'attachments_input',
-        placeholder: {
-          type: 'plain_text',
-          text: 'List any files you will attach to the GitHub issue',
-        },
-      },
-      label: {
-        type: 'plain_text',
-        text: 'Attachments Info',
-      },
-      optional: true,
-    }
-  );
+// Triage: add a label
+app.action('triage_label', async ({ ack, body, action, client, logger }) => {
+  await ack();
 
-  return {
-    type: 'modal',
-    callback_id: 'billing_request_modal',
-    title: {
-      type: 'plain_text',
-      text: 'Billing Request',
-    },
-    submit: {
-      type: 'plain_text',
-      text: 'Submit',
-    },
-    close: {
-      type: 'plain_text',
-      text: 'Cancel',
-    },
-    blocks,
-  };
-}
+  await handleTriageControl({ body, action, client, logger }, async (ref, issue) => {
+    const label = action.selected_option.value;
+    if (issue.labels.some(l => l.name === label)) return null;
 
-// Handle the /billingapp-request slash command
-app.command('/billingapp-request', async ({ ack, body, client, logger }) => {
+    await octokit.issues.addLabels({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      labels: [label],
+    });
+    return `:label: Label \`${label}\` added by <@${body.user.id}>`;
+  });
+});
+
+// Triage: open the "ask for more info" or "close as duplicate" modal
+async function openTriageModal({ ack, body, action, client, logger }, buildModal) {
   await ack();
 
   try {
-    const view = buildModalView(false);
-    // Store channel ID in private_metadata to post confirmation there
-    view.private_metadata = JSON.stringify({ channel_id: body.channel_id });
-
     await client.views.open({
       trigger_id: body.trigger_id,
-      view,
+      view: buildModal({
+        issue_ref: getTriageRef(action),
+        channel_id: body.channel.id,
+        message_ts: body.message.ts,
+      }),
     });
   } catch (error) {
-    logger.error('Error opening modal:', error);
+    logger.error(`Error opening ${action.action_id} modal:`, error);
   }
-});
+}
 
-// Handle type selection to show/hide "Steps to Reproduce"
-app.action('type_select', async ({ ack, body, client, logger }) => {
+app.action('triage_more_info', args => openTriageModal(args, buildMoreInfoModal));
+app.action('triage_duplicate', args => openTriageModal(args, buildDuplicateModal));
+
+// Triage: ask the requester a question in their thread (their replies sync back to the issue)
+app.view('triage_more_info_modal', async ({ ack, body, view, client, logger }) => {
   await ack();
 
+  const userId = body.user.id;
+  const metadata = JSON.parse(view.private_metadata || '{}');
+  const ref = parseIssueRef(metadata.issue_ref);
+  const question = view.state.values.question_block.question_input.value;
+
   try {
-    const selectedType = body.actions[0].selected_option.value;
-    const showSteps = selectedType === 'bug';
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+    });
 
-    // Get current values from the view
-    const currentView = body.view;
-    const currentValues = currentView.state.values;
+    const userName = await getSlackUserName(client, userId);
+    const quoted = question.split('\n').map(line => `> ${line}`).join('\n');
+    await octokit.issues.createComment({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      body: `**${userName || 'Triage'}** (<@${userId}>) asked the requester for more information:\n\n${quoted}\n\n${SLACK_SYNC_MARKER}`,
+    });
+    await octokit.issues.addLabels({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      labels: [NEEDS_INFO_LABEL],
+    });
 
-    // Build updated view
-    const updatedView = buildModalView(showSteps);
-    // Preserve private_metadata (channel ID)
-    updatedView.private_metadata = currentView.private_metadata;
+    const submitterId = extractSubmitter(issue.body);
+    await recordTriageAction(client, {
+      ref,
+      issue,
+      channelId: metadata.channel_id,
+      messageTs: metadata.message_ts,
+    }, `:question: <@${userId}> needs more information${submitterId ? ` from <@${submitterId}>` : ''}:\n${quoted}`);
 
-    // Preserve existing input values
-    if (currentValues.title_block?.title_input?.value) {
-      updatedView.blocks[0].element.initial_value =
-        currentValues.title_block.title_input.value;
-    }
-    if (currentValues.type_block?.type_select?.selected_option) {
-      updatedView.blocks[1].element.initial_option =
-        currentValues.type_block.type_select.selected_option;
-    }
-    if (currentValues.priority_block?.priority_select?.selected_option) {
-      updatedView.blocks[2].element.initial_option =
-        currentValues.priority_block.priority_select.selected_option;
-    }
-    if (currentValues.description_block?.description_input?.value) {
-      updatedView.blocks[3].element.initial_value =
-        currentValues.description_block.description_input.value;
-    }
+    logger.info(`Triage asked for more info on ${metadata.issue_ref}`);
+  } catch (error) {
+    logger.error(`Error asking for more info on ${metadata.issue_ref}:`, error);
+    await client.chat.postEphemeral({
+      channel: metadata.channel_id,
+      user: userId,
+      text: ':warning: Couldn\'t send your question. Please try again.',
+    });
+  }
+});
 
-    // Preserve steps to reproduce if switching back to bug and value exists
-    if (showSteps && currentValues.steps_block?.steps_input?.value) {
-      updatedView.blocks[4].element.initial_value =
-        currentValues.steps_block.steps_input.value;
-    }
+// Triage: close a request as a duplicate of another issue in the same repo
+app.view('triage_duplicate_modal', async ({ ack, body, view, client, logger }) => {
+  const userId = body.user.id;
+  const metadata = JSON.parse(view.private_metadata || '{}');
+  const ref = parseIssueRef(metadata.issue_ref);
+  const input = view.state.values.duplicate_of_block.duplicate_of_input.value;
+  const duplicateOf = parseInt((input || '').replace(/^#/, '').trim(), 10);
+
+  let original;
+  try {
+    if (!duplicateOf || duplicateOf === ref.issueNumber) throw new Error('invalid issue number');
+    ({ data: original } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: duplicateOf,
+    }));
+  } catch (error) {
+    await ack({
+      response_action: 'errors',
+      errors: { duplicate_of_block: `Enter the number of another issue in ${ref.fullName}.` },
+    });
+    return;
+  }
 
-    // Preserve acceptance criteria and attachments
-    const acceptanceIndex = showSteps ? 5 : 4;
-    const attachmentsIndex = showSteps ? 6 : 5;
+  await ack();
 
-    if (currentValues.acceptance_block?.acceptance_input?.value) {
-      updatedView.blocks[acceptanceIndex].element.initial_value =
-        currentValues.acceptance_block.acceptance_input.value;
-    }
-    if (currentValues.attachments_block?.attachments_input?.value) {
-      updatedView.blocks[attachmentsIndex].element.initial_value =
-        currentValues.attachments_block.attachments_input.value;
-    }
+  try {
+    const { data: issue } = await octokit.issues.get({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+    });
 
-    await client.views.update({
-      view_id: body.view.id,
-      hash: body.view.hash,
-      view: updatedView,
+    await octokit.issues.createComment({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      body: `Duplicate of #${duplicateOf}\n\nClosed during triage by <@${userId}> via Slack.\n\n${SLACK_SYNC_MARKER}`,
     });
+    await octokit.issues.update({
+      owner: ref.owner,
+      repo: ref.repo,
+      issue_number: ref.issueNumber,
+      state: 'closed',
+      state_reason: 'duplicate',
+    });
+
+    await recordTriageAction(client, {
+      ref,
+      issue,
+      channelId: metadata.channel_id,
+      messageTs: metadata.message_ts,
+    }, `:twisted_rightwards_arrows: Closed as a duplicate of <${original.html_url}|#${original.number}: ${original.title}> by <@${userId}>`);
+
+    logger.info(`Triage closed ${metadata.issue_ref} as duplicate of #${duplicateOf}`);
   } catch (error) {
-    logger.error('Error updating modal:', error);
+    logger.error(`Error closing ${metadata.issue_ref} as duplicate:`, error);
+    await client.chat.postEphemeral({
+      channel: metadata.channel_id,
+      user: userId,
+      text: ':warning: Couldn\'t close the request. Please try again or close it on GitHub.',
+    });
   }
 });
 
-// Handle modal submission
-app.view('billing_request_modal', async ({ ack, body, view, client, logger }) => {
-  const values = view.state.values;
+// Find the GitHub issue a billing request confirmation thread belongs to
+// The confirmation is the thread root for /billingapp-request, or a reply when
+// the request was made from a message shortcut.
+// With a database every request thread is linked, so the thread is only scanned for the
+// confirmation's metadata when the bot started it (requests filed before the link was stored).
+async function findRequestForThread(client, channelId, threadTs, { startedByBot = false } = {}) {
+  const linked = await findIssueForThread(channelId, threadTs);
+  if (linked) return linked;
+  if (isDatabaseConfigured() && !startedByBot) return null;
+
+  const result = await client.conversations.replies({
+    channel: channelId,
+    ts: threadTs,
+    limit: 200,
+    include_all_metadata: true,
+  });
 
-  // Extract form values
-  const title = values.title_block.title_input.value;
-  const type = values.type_block.type_select.selected_option.value;
-  const priority = values.priority_block.priority_select.selected_option.value;
-  const description = values.description_block.description_input.value;
-  const stepsToReproduce = values.steps_block?.steps_input?.value || null;
-  const acceptanceCriteria = values.acceptance_block.acceptance_input.value;
-  const attachmentsInfo = values.attachments_block?.attachments_input?.value || null;
+  const metadata = result.messages
+    ?.map(m => m.metadata)
+    .find(m => m?.event_type === BILLING_REQUEST_EVENT);
+  if (!metadata) return null;
 
-  // Get user info and channel
-  const userId = body.user.id;
-  const metadata = JSON.parse(view.private_metadata || '{}');
-  const channelId = metadata.channel_id;
+  const [owner, repo] = metadata.event_payload.repo.split('/');
+  return { owner, repo, issueNumber: metadata.event_payload.issue_number };
+}
 
+// Look up a Slack user's display name for attributing synced comments
+async function getSlackUserName(client, userId) {
   try {
-    // Build GitHub issue body
-    let issueBody = `## Description\n${description}\n\n`;
+    const { user } = await client.users.info({ user: userId });
+    return user.real_name || user.name;
+  } catch (error) {
+    console.error(`Failed to look up Slack user ${userId}:`, error.message);
+    return null;
+  }
+}
 
-    if (type === 'bug' && stepsToReproduce) {
-      issueBody += `## Steps to Reproduce\n${stepsToReproduce}\n\n`;
-    }
+// Mirror human replies in a billing request thread (text and files) onto the GitHub issue
+app.message(async ({ message, client, context, logger }) => {
+  if (!message.thread_ts || message.thread_ts === message.ts) return;
+  if (message.bot_id || message.subtype === 'bot_message') return;
+  // FPA bot conversations are never request threads
+  if (FPA_CHANNEL_IDS.includes(message.channel)) return;
+  // Edits, deletions, joins etc. aren't mirrored
+  if (message.subtype && message.subtype !== 'file_share' && message.subtype !== 'thread_broadcast') return;
+  if (!message.text && !message.files?.length) return;
 
-    issueBody += `## Acceptance Criteria\n${acceptanceCriteria}\n\n`;
+  try {
+    const request = await findRequestForThread(client, message.channel, message.thread_ts, {
+      startedByBot: Boolean(context.botUserId) && message.parent_user_id === context.botUserId,
+    });
+    if (!request) return;
 
-    if (attachmentsInfo) {
-      issueBody += `## Attachments\n${attachmentsInfo}\n\n`;
+    let attachments = [];
+    if (message.files?.length) {
+      attachments = await uploadAttachments(client, octokit, request, message.files.map(f => f.id));
     }
 
-    issueBody += `---\n`;
-    issueBody += `**Priority:** ${priority.charAt(0).toUpperCase() + priority.slice(1)}\n`;
-    issueBody += `**Type:** ${type.charAt(0).toUpperCase() + type.slice(1)}\n`;
-    issueBody += `**Submitted via:** Slack by <@${userId}>\n\n`;
-    // Hidden metadata for webhook notifications (HTML comment not rendered in GitHub)
-    issueBody += `<!-- slack_channel:${channelId} -->`;
-
-    // Create labels array
-    const labels = [type, priority];
-
-    // Create GitHub issue (without thread_ts initially)
-    const { data: issue } = await octokit.issues.create({
-      owner: GITHUB_OWNER,
-      repo: GITHUB_REPO,
-      title: title,
-      body: issueBody,
-      labels: labels,
-    });
-
-    // Acknowledge the submission
-    await ack();
+    const userName = await getSlackUserName(client, message.user);
+    let body = `**${userName || 'Slack user'}** (<@${message.user}>) replied in Slack:\n\n`;
+    if (message.text) {
+      body += `${message.text}\n\n`;
+    }
+    if (attachments.length > 0) {
+      body += `${formatAttachmentsMarkdown(attachments)}\n\n`;
+    }
+    body += SLACK_SYNC_MARKER;
 
-    // Send confirmation message to channel
-    const messageResult = await client.chat.postMessage({
-      channel: channelId,
-      text: `Billing request submitted by <@${userId}>`,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*Billing request submitted by <@${userId}>*`,
-          },
-        },
-        {
-          type: 'section',
-          fields: [
-            {
-              type: 'mrkdwn',
-              text: `*Title:*\n${title}`,
-            },
-            {
-              type: 'mrkdwn',
-              text: `*Type:*\n${type.charAt(0).toUpperCase() + type.slice(1)}`,
-            },
-            {
-              type: 'mrkdwn',
-              text: `*Priority:*\n${priority.charAt(0).toUpperCase() + priority.slice(1)}`,
-            },
-            {
-              type: 'mrkdwn',
-              text: `*Issue #:*\n${issue.number}`,
-            },
-          ],
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `<${issue.html_url}|View Issue on GitHub>`,
-          },
-        },
-      ],
+    await octokit.issues.createComment({
+      owner: request.owner,
+      repo: request.repo,
+      issue_number: request.issueNumber,
+      body,
     });
 
-    // Update the GitHub issue with the Slack message timestamp for threading
-    if (messageResult.ts) {
-      const updatedBody = issueBody + `\n<!-- slack_thread_ts:${messageResult.ts} -->`;
-      await octokit.issues.update({
-        owner: GITHUB_OWNER,
-        repo: GITHUB_REPO,
-        issue_number: issue.number,
-        body: updatedBody,
+    if (attachments.length > 0) {
+      await client.chat.postMessage({
+        channel: message.channel,
+        thread_ts: message.thread_ts,
+        text: `:paperclip: Added ${attachments.length} file(s) to issue #${request.issueNumber}.`,
       });
     }
 
-    logger.info(`Created GitHub issue #${issue.number}: ${title}`);
+    logger.info(`Synced thread reply from ${message.user} to ${request.owner}/${request.repo}#${request.issueNumber}`);
   } catch (error) {
-    logger.error('Error creating GitHub issue:', error);
-
-    // Acknowledge with error
-    await ack({
-      response_action: 'errors',
-      errors: {
-        title_block: 'Failed to create GitHub issue. Please try again or contact support.',
-      },
-    });
+    logger.error('Error syncing thread reply to GitHub issue:', error);
   }
 });
 
@@ -973,7 +2698,43 @@ app.message(async ({ message, client, logger }) => {
     console.log(`HTTP health check server listening on port ${port}`);
   });
 
+  // Create Slack linkage tables (threading falls back to issue body markers if this fails)
+  try {
+    await initLinkageTables();
+  } catch (error) {
+    console.error('Failed to initialize linkage tables:', error.message);
+  }
+
+  // Create the webhook delivery log (redeliveries are then only de-duplicated in memory)
+  try {
+    await initDeliveryTable();
+  } catch (error) {
+    console.error('Failed to initialize webhook delivery log:', error.message);
+  }
+
+  // Create the job queue and start working through it (picks up jobs interrupted by a restart)
+  try {
+    await initJobsTable();
+    startJobWorker();
+  } catch (error) {
+    console.error('Failed to start job queue:', error.message);
+  }
+
   // Start Slack app (Socket Mode connects via WebSocket)
   await app.start();
   console.log('Slack app connected via Socket Mode');
+
+  // Periodically escalate requests that missed their SLA response target
+  if (SLA_CHECK_INTERVAL_MINUTES > 0) {
+    setInterval(async () => {
+      try {
+        const escalated = await checkSlaBreaches(octokit, app.client);
+        if (escalated > 0) {
+          console.log(`SLA check escalated ${escalated} request(s)`);
+        }
+      } catch (error) {
+        console.error('SLA check failed:', error.message);
+      }
+    }, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  }
 })();
@@ -0,0 +1,147 @@
+// Request Attachments - Copies files uploaded in Slack onto GitHub issues
+
+// 'commit' stores files in the destination repo so they render inline on the issue;
+// 'link' only links back to the file in Slack (no writes to the repo)
+const ATTACHMENTS_MODE = process.env.ATTACHMENTS_MODE || 'commit';
+
+// Branch and folder attachments are committed to (kept off the default branch
+// so uploads never trigger deploys)
+const ATTACHMENTS_BRANCH = process.env.ATTACHMENTS_BRANCH || 'billing-request-attachments';
+const ATTACHMENTS_DIR = 'attachments';
+
+// Larger files are linked in Slack instead of committed
+const MAX_COMMIT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Make sure the attachments branch exists, creating it from the default branch
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ */
+async function ensureAttachmentsBranch(octokit, { owner, repo }) {
+  try {
+    await octokit.git.getRef({ owner, repo, ref: `heads/${ATTACHMENTS_BRANCH}` });
+    return;
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  const { data: repoData } = await octokit.repos.get({ owner, repo });
+  const { data: baseRef } = await octokit.git.getRef({
+    owner,
+    repo,
+    ref: `heads/${repoData.default_branch}`
+  });
+
+  console.log(`[Attachments] Creating branch ${ATTACHMENTS_BRANCH} in ${owner}/${repo}`);
+  await octokit.git.createRef({
+    owner,
+    repo,
+    ref: `refs/heads/${ATTACHMENTS_BRANCH}`,
+    sha: baseRef.object.sha
+  });
+}
+
+/**
+ * Download a Slack file's contents with the bot token
+ * @param {object} file - Slack file object (from files.info)
+ * @returns {Promise<Buffer>}
+ */
+async function downloadSlackFile(file) {
+  const response = await fetch(file.url_private_download, {
+    headers: { 'Authorization': `Bearer ${process.env.SLACK_BOT_TOKEN}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Slack file download failed: ${response.status} ${response.statusText}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Commit a Slack file to the attachments branch
+ * @returns {Promise<string>} - URL that renders the file on GitHub
+ */
+async function commitAttachment(octokit, { owner, repo }, file) {
+  const content = await downloadSlackFile(file);
+  const date = new Date().toISOString().slice(0, 10);
+  const safeName = file.name.replace(/[^\w.-]+/g, '_');
+  const path = `${ATTACHMENTS_DIR}/${date}/${file.id}-${safeName}`;
+
+  await octokit.repos.createOrUpdateFileContents({
+    owner,
+    repo,
+    path,
+    branch: ATTACHMENTS_BRANCH,
+    message: `Add billing request attachment ${safeName}`,
+    content: content.toString('base64')
+  });
+
+  return `https://github.com/${owner}/${repo}/blob/${ATTACHMENTS_BRANCH}/${path}?raw=true`;
+}
+
+/**
+ * Copy Slack files onto GitHub for an issue in the given repo
+ * Files that can't be committed fall back to their Slack permalink.
+ * @param {object} client - Slack Web API client
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {string[]} fileIds - Slack file IDs
+ * @returns {Promise<Array<{ name: string, url: string, isImage: boolean, committed: boolean }>>}
+ */
+async function uploadAttachments(client, octokit, repoInfo, fileIds = []) {
+  if (fileIds.length === 0) return [];
+
+  let canCommit = ATTACHMENTS_MODE === 'commit';
+  if (canCommit) {
+    try {
+      await ensureAttachmentsBranch(octokit, repoInfo);
+    } catch (error) {
+      console.error(`[Attachments] Can't use branch ${ATTACHMENTS_BRANCH} in ${repoInfo.owner}/${repoInfo.repo}, linking files to Slack instead:`, error.message);
+      canCommit = false;
+    }
+  }
+
+  const attachments = [];
+  for (const fileId of fileIds) {
+    const { file } = await client.files.info({ file: fileId });
+    let url = file.permalink;
+    let committed = false;
+
+    if (canCommit && file.size <= MAX_COMMIT_BYTES) {
+      try {
+        url = await commitAttachment(octokit, repoInfo, file);
+        committed = true;
+      } catch (error) {
+        console.error(`[Attachments] Failed to commit ${file.name}, linking to Slack instead:`, error.message);
+      }
+    }
+
+    attachments.push({
+      name: file.name,
+      url,
+      isImage: (file.mimetype || '').startsWith('image/'),
+      committed
+    });
+  }
+
+  console.log(`[Attachments] Attached ${attachments.length} file(s) for ${repoInfo.owner}/${repoInfo.repo}`);
+  return attachments;
+}
+
+/**
+ * Render attachments as Markdown (committed images inline, everything else as links)
+ * Slack permalinks need a Slack login, so GitHub can't render them as images.
+ * @param {Array} attachments - Results from uploadAttachments()
+ * @returns {string}
+ */
+function formatAttachmentsMarkdown(attachments) {
+  return attachments
+    .map(a => a.isImage && a.committed ? `![${a.name}](${a.url})` : `- [${a.name}](${a.url})`)
+    .join('\n');
+}
+
+module.exports = {
+  uploadAttachments,
+  formatAttachmentsMarkdown
+};
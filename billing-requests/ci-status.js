@@ -0,0 +1,128 @@
+// CI Status - Rolls up check runs and commit statuses into one line for a PR's Slack message
+
+// Block ID of the status line, so it can be replaced on each update
+const CI_STATUS_BLOCK_ID = 'ci_status';
+
+// Check run conclusions that count as failing
+const FAILING_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+
+/**
+ * Find the pull requests whose head is a commit
+ * Check events list same-repo PRs in their payload; status events (and fork PRs) need a lookup.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {string} sha - Commit SHA
+ * @param {Array} hinted - pull_requests from a check_run / check_suite payload
+ * @returns {Promise<number[]>} - PR numbers
+ */
+async function findPullRequestsForSha(octokit, { owner, repo }, sha, hinted = []) {
+  if (hinted.length > 0) {
+    return hinted.filter(pr => pr.head.sha === sha).map(pr => pr.number);
+  }
+
+  const { data: pulls } = await octokit.repos.listPullRequestsAssociatedWithCommit({
+    owner,
+    repo,
+    commit_sha: sha
+  });
+  return pulls
+    .filter(pr => pr.state === 'open' && pr.head.sha === sha)
+    .map(pr => pr.number);
+}
+
+/**
+ * Roll up the check runs and commit statuses for a commit
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {string} sha - Commit SHA
+ * @returns {Promise<{ state: 'pending'|'passing'|'failing', total: number, completed: number, failing: Array<{ name, url }> }|null>}
+ *   null when the commit has no checks at all
+ */
+async function getCIRollup(octokit, { owner, repo }, sha) {
+  const [{ data: checks }, { data: combined }] = await Promise.all([
+    octokit.checks.listForRef({ owner, repo, ref: sha, per_page: 100 }),
+    octokit.repos.getCombinedStatusForRef({ owner, repo, ref: sha, per_page: 100 })
+  ]);
+
+  // Re-runs create new check runs with the same name - only the latest counts
+  const latestRuns = new Map();
+  for (const run of checks.check_runs) {
+    const previous = latestRuns.get(run.name);
+    if (!previous || run.id > previous.id) {
+      latestRuns.set(run.name, run);
+    }
+  }
+
+  const results = [];
+  for (const run of latestRuns.values()) {
+    results.push({
+      name: run.name,
+      url: run.html_url,
+      done: run.status === 'completed',
+      failed: run.status === 'completed' && FAILING_CONCLUSIONS.includes(run.conclusion)
+    });
+  }
+  for (const status of combined.statuses) {
+    results.push({
+      name: status.context,
+      url: status.target_url,
+      done: status.state !== 'pending',
+      failed: status.state === 'failure' || status.state === 'error'
+    });
+  }
+
+  if (results.length === 0) return null;
+
+  const failing = results.filter(r => r.failed).map(({ name, url }) => ({ name, url }));
+  const completed = results.filter(r => r.done).length;
+
+  let state = 'passing';
+  if (failing.length > 0) {
+    state = 'failing';
+  } else if (completed < results.length) {
+    state = 'pending';
+  }
+
+  return { state, total: results.length, completed, failing };
+}
+
+/**
+ * Describe a CI rollup as a Slack status line
+ * @param {object} rollup - Result from getCIRollup()
+ * @returns {string}
+ */
+function formatCISummary(rollup) {
+  if (rollup.state === 'failing') {
+    const [first] = rollup.failing;
+    const link = first.url ? `<${first.url}|${first.name}>` : first.name;
+    const others = rollup.failing.length > 1 ? ` and ${rollup.failing.length - 1} more` : '';
+    return `:x: *CI failing:* ${link}${others}`;
+  }
+  if (rollup.state === 'pending') {
+    return `:hourglass_flowing_sand: *CI running:* ${rollup.completed}/${rollup.total} checks complete`;
+  }
+  return `:white_check_mark: *CI passing:* ${rollup.total} check${rollup.total === 1 ? '' : 's'}`;
+}
+
+/**
+ * Replace (or add) the CI status line on a message's blocks
+ * @param {Array<object>} blocks - Slack blocks of the PR notification
+ * @param {string} summary - Result from formatCISummary()
+ * @returns {Array<object>}
+ */
+function withCIStatus(blocks, summary) {
+  const statusBlock = {
+    type: 'context',
+    block_id: CI_STATUS_BLOCK_ID,
+    elements: [{ type: 'mrkdwn', text: summary }]
+  };
+
+  return [...blocks.filter(b => b.block_id !== CI_STATUS_BLOCK_ID), statusBlock];
+}
+
+module.exports = {
+  findPullRequestsForSha,
+  getCIRollup,
+  formatCISummary,
+  withCIStatus
+};
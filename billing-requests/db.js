@@ -0,0 +1,34 @@
+// Billing Requests Database - Shared Heroku Postgres pool for request bookkeeping tables
+// (and the financial analyst's balance cache), so the app holds a single set of connections
+const { Pool } = require('pg');
+
+// Use DATABASE_URL from Heroku (automatically set when you add Postgres)
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+let closed = false;
+
+/**
+ * Whether a database is configured (without one, callers fall back to GitHub-only state)
+ */
+function isDatabaseConfigured() {
+  return Boolean(process.env.DATABASE_URL);
+}
+
+/**
+ * Close the pool (for graceful shutdown; safe to call more than once)
+ */
+async function closePool() {
+  if (isDatabaseConfigured() && !closed) {
+    closed = true;
+    await pool.end();
+  }
+}
+
+module.exports = {
+  pool,
+  isDatabaseConfigured,
+  closePool
+};
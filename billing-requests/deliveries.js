@@ -0,0 +1,144 @@
+// Webhook Deliveries - Log of GitHub webhook deliveries for de-duplication and replay
+
+const { pool, isDatabaseConfigured } = require('./db');
+
+// Deliveries still "processing" after this long are assumed lost (e.g., dyno restart) and may be retried
+const STALE_PROCESSING_MINUTES = 10;
+
+// Successfully processed deliveries are pruned after this many days
+const RETENTION_DAYS = 30;
+
+// Without a database, remember recent delivery IDs in memory so redeliveries are still skipped
+const MAX_RECENT_IDS = 1000;
+const recentDeliveryIds = new Set();
+
+/**
+ * Create the delivery log table and prune old successful deliveries
+ */
+async function initDeliveryTable() {
+  if (!isDatabaseConfigured()) {
+    console.log('[Deliveries] No DATABASE_URL configured, skipping table init');
+    return;
+  }
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      delivery_id TEXT PRIMARY KEY,
+      event TEXT NOT NULL,
+      action TEXT,
+      repo TEXT,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'processing',
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const result = await pool.query(
+    `DELETE FROM webhook_deliveries
+     WHERE status = 'succeeded' AND received_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [RETENTION_DAYS]
+  );
+  console.log(`[Deliveries] webhook_deliveries table ready (pruned ${result.rowCount} old deliveries)`);
+}
+
+/**
+ * Claim a delivery for processing
+ * New deliveries are recorded; a delivery seen before is only claimed again if it failed
+ * (or got stuck processing), so GitHub redeliveries don't double-post to Slack.
+ * @param {string} deliveryId - X-GitHub-Delivery header
+ * @param {string} event - X-GitHub-Event header
+ * @param {object} payload - Parsed webhook payload
+ * @returns {Promise<boolean>} - Whether the caller should process the delivery
+ */
+async function claimDelivery(deliveryId, event, payload) {
+  if (!isDatabaseConfigured()) {
+    if (recentDeliveryIds.has(deliveryId)) return false;
+    recentDeliveryIds.add(deliveryId);
+    if (recentDeliveryIds.size > MAX_RECENT_IDS) {
+      recentDeliveryIds.delete(recentDeliveryIds.values().next().value);
+    }
+    return true;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (delivery_id, event, action, repo, payload)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (delivery_id) DO UPDATE
+       SET status = 'processing',
+           error = NULL,
+           attempts = webhook_deliveries.attempts + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE webhook_deliveries.status = 'failed'
+          OR (webhook_deliveries.status = 'processing'
+              AND webhook_deliveries.updated_at < NOW() - ($6 || ' minutes')::INTERVAL)
+     RETURNING delivery_id`,
+    [
+      deliveryId,
+      event,
+      payload.action || null,
+      payload.repository?.full_name || null,
+      JSON.stringify(payload),
+      STALE_PROCESSING_MINUTES
+    ]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record the outcome of processing a delivery
+ * @param {string} deliveryId
+ * @param {Error|null} error - The error processing failed with, or null on success
+ */
+async function completeDelivery(deliveryId, error = null) {
+  if (!isDatabaseConfigured()) return;
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, error = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE delivery_id = $1`,
+    [deliveryId, error ? 'failed' : 'succeeded', error ? error.message : null]
+  );
+}
+
+/**
+ * List recent deliveries (without payloads)
+ * @param {object} options
+ * @param {string} options.status - 'failed', 'succeeded' or 'processing' (all when omitted)
+ * @param {number} options.limit - Maximum deliveries returned
+ * @returns {Promise<Array>}
+ */
+async function listDeliveries({ status = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT delivery_id, event, action, repo, status, error, attempts, received_at, updated_at
+     FROM webhook_deliveries
+     WHERE $1::TEXT IS NULL OR status = $1
+     ORDER BY received_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a stored delivery, including its payload
+ * @param {string} deliveryId
+ * @returns {Promise<object|null>}
+ */
+async function getDelivery(deliveryId) {
+  const result = await pool.query(
+    'SELECT * FROM webhook_deliveries WHERE delivery_id = $1',
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  initDeliveryTable,
+  claimDelivery,
+  completeDelivery,
+  listDeliveries,
+  getDelivery
+};
@@ -0,0 +1,113 @@
+// Deployments - Works out which merged pull requests a production deployment or release shipped
+
+// Deployment environments that count as production (comma-separated)
+const PRODUCTION_ENVIRONMENTS = (process.env.PRODUCTION_ENVIRONMENTS || 'production')
+  .split(',')
+  .map(env => env.trim().toLowerCase());
+
+// How many earlier deployments to look through for the previous successful one
+const MAX_PREVIOUS_DEPLOYMENTS = 10;
+
+/**
+ * Whether a deployment environment is production
+ * @param {string} environment
+ * @returns {boolean}
+ */
+function isProductionEnvironment(environment) {
+  return PRODUCTION_ENVIRONMENTS.includes((environment || '').toLowerCase());
+}
+
+/**
+ * Find the commit of the last successful deployment to an environment before the given one
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {object} deployment - The deployment that just succeeded
+ * @returns {Promise<string|null>} - Commit SHA, or null for the first deployment
+ */
+async function findPreviousDeploymentSha(octokit, { owner, repo }, deployment) {
+  const { data: deployments } = await octokit.repos.listDeployments({
+    owner,
+    repo,
+    environment: deployment.environment,
+    per_page: MAX_PREVIOUS_DEPLOYMENTS + 1
+  });
+
+  for (const previous of deployments) {
+    if (previous.id === deployment.id || new Date(previous.created_at) > new Date(deployment.created_at)) continue;
+
+    const { data: statuses } = await octokit.repos.listDeploymentStatuses({
+      owner,
+      repo,
+      deployment_id: previous.id,
+      per_page: 1
+    });
+    if (statuses[0]?.state === 'success') {
+      return previous.sha;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the tag of the last published (non-prerelease) release before the given one
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {object} release - The release that was just published
+ * @returns {Promise<string|null>} - Tag name, or null for the first release
+ */
+async function findPreviousReleaseTag(octokit, { owner, repo }, release) {
+  const { data: releases } = await octokit.repos.listReleases({ owner, repo, per_page: 20 });
+
+  const previous = releases
+    .filter(r => r.id !== release.id && !r.draft && !r.prerelease && r.published_at)
+    .filter(r => new Date(r.published_at) < new Date(release.published_at))
+    .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))[0];
+
+  return previous ? previous.tag_name : null;
+}
+
+/**
+ * Find merged pull requests whose commits are in base...head
+ * Without a base (first deployment or release), only the PR for the head commit is found.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {string|null} base - Previously shipped commit SHA or tag
+ * @param {string} head - Newly shipped commit SHA or tag
+ * @returns {Promise<Array>} - Pull requests (number, title, html_url, body)
+ */
+async function findShippedPullRequests(octokit, { owner, repo }, base, head) {
+  let shas = [head];
+  if (base) {
+    const { data: comparison } = await octokit.repos.compareCommits({
+      owner,
+      repo,
+      base,
+      head,
+      per_page: 250
+    });
+    shas = comparison.commits.map(c => c.sha);
+  }
+
+  const pulls = new Map();
+  for (const sha of shas) {
+    const { data: associated } = await octokit.repos.listPullRequestsAssociatedWithCommit({
+      owner,
+      repo,
+      commit_sha: sha
+    });
+    for (const pr of associated) {
+      if (pr.merged_at && !pulls.has(pr.number)) {
+        pulls.set(pr.number, pr);
+      }
+    }
+  }
+
+  return Array.from(pulls.values());
+}
+
+module.exports = {
+  isProductionEnvironment,
+  findPreviousDeploymentSha,
+  findPreviousReleaseTag,
+  findShippedPullRequests
+};
@@ -0,0 +1,210 @@
+// Weekly Digest - Summary of billing request activity for the PR notification channel
+
+const { getConfiguredRepos } = require('./routing');
+const { REQUEST_TYPES, PRIORITIES, getOptionLabel } = require('./form-schema');
+const { extractSlackMetadata, extractSubmitter } = require('./issue-metadata');
+const { getLinkedPullRequests } = require('./status');
+const { getClosingIssueReferences } = require('./pr-links');
+const { median, formatHours } = require('./sla');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many oldest open items and top requesters to list
+const MAX_OLDEST = 5;
+const MAX_REQUESTERS = 5;
+
+// Priorities whose oldest open requests are called out
+const OLDEST_PRIORITIES = ['urgent', 'high'];
+
+/**
+ * Whether an issue was filed through the Slack app (carries the Slack metadata markers)
+ */
+function isSlackRequest(issue) {
+  return !issue.pull_request && Boolean(extractSlackMetadata(issue.body).channelId);
+}
+
+/**
+ * Find the label of an issue that is one of the given options' values
+ */
+function findLabel(issue, options) {
+  const names = issue.labels.map(l => (typeof l === 'string' ? l : l.name));
+  return options.map(o => o.value).find(value => names.includes(value)) || 'other';
+}
+
+/**
+ * When an issue was first fixed by a merged pull request (PRs that only mention it don't count)
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo } of the issue
+ * @param {object} issue
+ * @returns {Promise<string|null>} - merged_at of the earliest fixing PR
+ */
+async function findFirstFixMerge(octokit, repoInfo, issue) {
+  const merged = (await getLinkedPullRequests(octokit, issue))
+    .filter(pr => pr.merged_at)
+    .sort((a, b) => new Date(a.merged_at) - new Date(b.merged_at));
+
+  for (const pr of merged) {
+    const closing = await getClosingIssueReferences(octokit, pr.repoInfo, pr.number);
+    const fixes = closing.some(ref =>
+      ref.number === issue.number &&
+      ref.owner.toLowerCase() === repoInfo.owner.toLowerCase() &&
+      ref.repo.toLowerCase() === repoInfo.repo.toLowerCase()
+    );
+    if (fixes) return pr.merged_at;
+  }
+  return null;
+}
+
+/**
+ * Count issues by type and priority
+ * @returns {{ total: number, byType: object, byPriority: object }}
+ */
+function countByTypeAndPriority(issues) {
+  const counts = { total: issues.length, byType: {}, byPriority: {} };
+  for (const issue of issues) {
+    const type = findLabel(issue, REQUEST_TYPES);
+    const priority = findLabel(issue, PRIORITIES);
+    counts.byType[type] = (counts.byType[type] || 0) + 1;
+    counts.byPriority[priority] = (counts.byPriority[priority] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Gather a week (or any period) of billing request activity across every routed repo
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} options
+ * @param {number} options.days - Length of the period, ending now
+ * @returns {Promise<object>} - Digest data for buildDigestBlocks()
+ */
+async function buildDigest(octokit, { days = 7 } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const opened = [];
+  const closed = [];
+  const merged = [];
+  const oldestOpen = [];
+
+  for (const repoInfo of getConfiguredRepos()) {
+    // Everything opened, closed or linked to a PR this week was updated this week
+    const recent = (await octokit.paginate(octokit.issues.listForRepo, {
+      owner: repoInfo.owner,
+      repo: repoInfo.repo,
+      state: 'all',
+      since: since.toISOString(),
+      per_page: 100
+    })).filter(isSlackRequest);
+
+    for (const issue of recent) {
+      if (new Date(issue.created_at) >= since) opened.push(issue);
+      if (issue.closed_at && new Date(issue.closed_at) >= since) closed.push(issue);
+
+      let firstMerge = null;
+      try {
+        firstMerge = await findFirstFixMerge(octokit, repoInfo, issue);
+      } catch (error) {
+        console.error(`[Digest] Failed to load linked PRs for ${repoInfo.fullName}#${issue.number}:`, error.message);
+      }
+
+      if (firstMerge && new Date(firstMerge) >= since) {
+        merged.push({ issue, hoursToMerge: (new Date(firstMerge) - new Date(issue.created_at)) / (60 * 60 * 1000) });
+      }
+    }
+
+    for (const priority of OLDEST_PRIORITIES) {
+      const open = await octokit.paginate(octokit.issues.listForRepo, {
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        state: 'open',
+        labels: priority,
+        per_page: 100
+      });
+      oldestOpen.push(...open.filter(isSlackRequest).map(issue => ({ issue, priority })));
+    }
+  }
+
+  // Top requesters by requests opened this period
+  const requesterCounts = {};
+  for (const issue of opened) {
+    const submitter = extractSubmitter(issue.body);
+    if (submitter) requesterCounts[submitter] = (requesterCounts[submitter] || 0) + 1;
+  }
+
+  return {
+    days,
+    opened: countByTypeAndPriority(opened),
+    closed: countByTypeAndPriority(closed),
+    merged: countByTypeAndPriority(merged.map(m => m.issue)),
+    medianHoursToMerge: median(merged.map(m => m.hoursToMerge)),
+    oldestOpen: oldestOpen
+      .sort((a, b) => new Date(a.issue.created_at) - new Date(b.issue.created_at))
+      .slice(0, MAX_OLDEST),
+    topRequesters: Object.entries(requesterCounts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_REQUESTERS)
+      .map(([userId, count]) => ({ userId, count }))
+  };
+}
+
+/**
+ * Format counts as "12 (3 Bug, 9 Feature) • Urgent 1, High 4"
+ */
+function formatCounts(counts) {
+  if (counts.total === 0) return '0';
+
+  const label = (fieldKey, value) => (value === 'other' ? 'Other' : getOptionLabel(fieldKey, value));
+  const types = Object.entries(counts.byType)
+    .map(([value, n]) => `${n} ${label('type', value)}`)
+    .join(', ');
+  const priorities = Object.entries(counts.byPriority)
+    .map(([value, n]) => `${label('priority', value)} ${n}`)
+    .join(', ');
+  return `${counts.total} (${types}) • ${priorities}`;
+}
+
+/**
+ * Build Slack blocks for a digest
+ * @param {object} digest - Result from buildDigest()
+ * @returns {Array<object>} - Slack blocks
+ */
+function buildDigestBlocks(digest) {
+  const oldest = digest.oldestOpen.length > 0
+    ? digest.oldestOpen.map(({ issue, priority }) => {
+      const ageDays = Math.floor((Date.now() - new Date(issue.created_at)) / DAY_MS);
+      return `• \`${priority}\` <${issue.html_url}|#${issue.number}: ${issue.title}> - ${ageDays}d old`;
+    }).join('\n')
+    : '_None_ :tada:';
+
+  const requesters = digest.topRequesters.length > 0
+    ? digest.topRequesters.map(({ userId, count }) => `<@${userId}> (${count})`).join(', ')
+    : '_None_';
+
+  return [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: `Billing requests - last ${digest.days} days` }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*Opened:* ${formatCounts(digest.opened)}\n` +
+          `*Closed:* ${formatCounts(digest.closed)}\n` +
+          `*PR merged:* ${formatCounts(digest.merged)}\n` +
+          `*Median time from request to merged PR:* ${formatHours(digest.medianHoursToMerge)}`
+      }
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Oldest open urgent / high requests*\n${oldest}` }
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Top requesters: ${requesters}` }]
+    }
+  ];
+}
+
+module.exports = {
+  buildDigest,
+  buildDigestBlocks
+};
@@ -0,0 +1,172 @@
+// Request Drafting - "Help me write this" in the request modal: Claude turns a rough
+// description into a problem statement, steps to reproduce, acceptance criteria and a
+// suggested type/priority, which the requester reviews and edits before submitting
+
+const ClaudeClient = require('../financial-analyst/claude-client');
+const { REQUEST_TYPES, PRIORITIES, FIELDS, getOptionLabel } = require('./form-schema');
+
+// Block/action IDs for the drafting controls shown in the request modal
+const DRAFT_BLOCK_ID = 'draft_block';
+const DRAFT_ACTION_ID = 'draft_request';
+const DRAFT_NOTE_BLOCK_ID = 'draft_note';
+
+// plain_text_input values are capped at 3000 characters
+const MAX_INPUT_LENGTH = 3000;
+
+const SYSTEM_PROMPT = `You help finance team members write billing change requests for the developers who maintain the billing system.
+
+Rewrite the user's rough request into a clear request. Keep every fact they gave you and do not invent account names, amounts, dates or system behavior they did not mention. Where something important is missing, say so in the text (e.g., "Which customer accounts are affected? (to confirm)") rather than guessing.
+
+Reply with only a JSON object with these keys:
+- "title": a short, specific issue title (under 80 characters)
+- "description": a clear problem statement: what is wrong or needed, who it affects and why it matters
+- "steps": numbered steps to reproduce, only for a bug (otherwise null)
+- "acceptance": a bulleted list of draft acceptance criteria a developer can verify
+- "type": one of ${REQUEST_TYPES.map(t => `"${t.value}"`).join(', ')}
+- "priority": one of ${PRIORITIES.map(p => `"${p.value}"`).join(', ')}
+- "reason": one sentence explaining the suggested type and priority`;
+
+/**
+ * Whether drafting is available (needs an Anthropic API key)
+ * @returns {boolean}
+ */
+function isDraftingEnabled() {
+  return Boolean(process.env.ANTHROPIC_API_KEY);
+}
+
+/**
+ * Trim a drafted value to fit a modal input
+ */
+function toInputValue(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim();
+  return text.length > MAX_INPUT_LENGTH ? text.substring(0, MAX_INPUT_LENGTH - 3) + '...' : text;
+}
+
+/**
+ * Read the JSON object out of Claude's reply (tolerates surrounding text or code fences)
+ * @param {string} text
+ * @returns {object}
+ */
+function parseDraft(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Draft response did not contain JSON');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+}
+
+/**
+ * Ask Claude to draft a request from what the requester has written so far
+ * @param {object} values - Form values keyed by field name (from readFormValues)
+ * @returns {Promise<{ values: object, suggestion: { type, priority, reason } }>}
+ *   values holds the drafted fields (title, description, steps, acceptance); unknown ones are null
+ */
+async function draftRequest(values) {
+  const claude = new ClaudeClient();
+
+  const rough = [
+    values.title && `Title: ${values.title}`,
+    values.type && `Type: ${getOptionLabel('type', values.type)}`,
+    values.priority && `Priority: ${getOptionLabel('priority', values.priority)}`,
+    values.description && `Description: ${values.description}`,
+    values.current_behavior && `Current behavior: ${values.current_behavior}`,
+    values.steps && `Steps to reproduce: ${values.steps}`,
+    values.expected_behavior && `Expected behavior: ${values.expected_behavior}`,
+    values.business_impact && `Business impact: ${values.business_impact}`,
+    values.acceptance && `Acceptance criteria: ${values.acceptance}`,
+  ].filter(Boolean).join('\n');
+
+  const response = await claude.createMessageWithRetry({
+    system: SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: rough }],
+    max_tokens: 1500,
+  });
+
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const draft = parseDraft(text);
+
+  const type = REQUEST_TYPES.some(t => t.value === draft.type) ? draft.type : null;
+  const priority = PRIORITIES.some(p => p.value === draft.priority) ? draft.priority : null;
+
+  return {
+    values: {
+      title: toInputValue(draft.title)?.substring(0, 150) || null,
+      description: toInputValue(draft.description),
+      steps: toInputValue(draft.steps),
+      acceptance: toInputValue(draft.acceptance),
+    },
+    suggestion: {
+      type,
+      priority,
+      reason: typeof draft.reason === 'string' ? draft.reason.trim() : null,
+    },
+  };
+}
+
+/**
+ * Describe a draft's suggested type and priority for the note under the drafting button
+ * @param {object} suggestion - From draftRequest()
+ * @returns {string} - mrkdwn
+ */
+function describeSuggestion({ type, priority, reason }) {
+  const parts = [];
+  if (type) parts.push(`*${getOptionLabel('type', type)}*`);
+  if (priority) parts.push(`*${getOptionLabel('priority', priority)}* priority`);
+
+  let text = ':sparkles: Drafted from your description. Review and edit it before submitting.';
+  if (parts.length > 0) {
+    text += `\nSuggested: ${parts.join(', ')}${reason ? ` - ${reason}` : ''}`;
+  }
+  return text;
+}
+
+/**
+ * Add the "Help me write this" button (and an optional note) to a request modal
+ * The controls go right after the Description field, or at the end if it isn't shown.
+ * Does nothing when drafting isn't enabled.
+ * @param {object} view - Slack modal view from buildModalView()
+ * @param {string|null} note - mrkdwn shown under the button (drafting progress or result)
+ * @returns {object} - The same view
+ */
+function addDraftBlocks(view, note = null) {
+  if (!isDraftingEnabled()) return view;
+
+  const blocks = [
+    {
+      type: 'actions',
+      block_id: DRAFT_BLOCK_ID,
+      elements: [
+        {
+          type: 'button',
+          action_id: DRAFT_ACTION_ID,
+          text: { type: 'plain_text', text: ':sparkles: Help me write this', emoji: true },
+          value: 'draft',
+        },
+      ],
+    },
+  ];
+  if (note) {
+    blocks.push({
+      type: 'context',
+      block_id: DRAFT_NOTE_BLOCK_ID,
+      elements: [{ type: 'mrkdwn', text: note }],
+    });
+  }
+
+  const index = view.blocks.findIndex(block => block.block_id?.startsWith(FIELDS.description.blockId));
+  view.blocks.splice(index === -1 ? view.blocks.length : index + 1, 0, ...blocks);
+  return view;
+}
+
+module.exports = {
+  DRAFT_ACTION_ID,
+  isDraftingEnabled,
+  draftRequest,
+  describeSuggestion,
+  addDraftBlocks,
+};
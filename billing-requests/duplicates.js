@@ -0,0 +1,159 @@
+// Duplicate Detection - Finds open GitHub issues similar to a new billing request
+
+// Block/action IDs for the duplicate choice shown in the request modal
+const DUPLICATE_BLOCK_ID = 'duplicate_block';
+const DUPLICATE_ACTION_ID = 'duplicate_choice';
+
+// Radio value meaning "none of these, file a new issue"
+const NOT_DUPLICATE = 'new';
+
+// Minimum similarity score (0-1) for an issue to be shown as a possible duplicate
+const SIMILARITY_THRESHOLD = 0.25;
+
+// GitHub search allows at most 5 AND/OR/NOT operators per query
+const MAX_SEARCH_TERMS = 6;
+
+// The search runs before the modal submission is acknowledged, and filing the issue
+// still has to fit in Slack's 3 second limit, so a slow search is abandoned
+const SEARCH_TIMEOUT_MS = 1500;
+
+// Words that carry no meaning for matching billing requests
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'i', 'in', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'our', 'should', 'that',
+  'the', 'this', 'to', 'we', 'when', 'with', 'will', 'add', 'fix', 'bug', 'issue',
+  'request', 'please', 'need', 'needs',
+]);
+
+/**
+ * Split text into lowercase, de-duplicated keywords
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const words = text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+  return Array.from(new Set(words));
+}
+
+/**
+ * Jaccard similarity between two keyword lists
+ * @returns {number} - 0 (nothing shared) to 1 (identical)
+ */
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(word => setB.has(word)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * Search open issues in a repo for ones similar to a new request
+ * Titles are weighted above descriptions since they are what people skim.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} request
+ * @param {string} request.owner - Repository owner
+ * @param {string} request.repo - Repository name
+ * @param {string} request.title - Title of the new request
+ * @param {string} request.description - Description of the new request
+ * @param {number} limit - Maximum matches to return
+ * @returns {Promise<Array<{number, title, html_url, score}>>} - Best matches first
+ *   (rejects if the search takes longer than SEARCH_TIMEOUT_MS)
+ */
+async function findSimilarIssues(octokit, { owner, repo, title, description }, limit = 3) {
+  const titleWords = tokenize(title);
+  if (titleWords.length === 0) return [];
+
+  const searchTerms = titleWords.slice(0, MAX_SEARCH_TERMS).join(' OR ');
+  const { data } = await octokit.search.issuesAndPullRequests({
+    q: `repo:${owner}/${repo} is:issue is:open in:title,body ${searchTerms}`,
+    per_page: 20,
+    request: { signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS) },
+  });
+
+  const descriptionWords = tokenize(description);
+
+  return data.items
+    .map(issue => {
+      const titleScore = similarity(titleWords, tokenize(issue.title));
+      const bodyScore = similarity(descriptionWords, tokenize(issue.body));
+      return {
+        number: issue.number,
+        title: issue.title,
+        html_url: issue.html_url,
+        score: titleScore * 0.7 + bodyScore * 0.3,
+      };
+    })
+    .filter(match => match.score >= SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Build the modal blocks listing possible duplicates and asking the user to choose
+ * @param {Array} matches - Results from findSimilarIssues()
+ * @returns {Array<object>} - Slack blocks to append to the request modal
+ */
+function buildDuplicateBlocks(matches) {
+  const options = matches.map(match => ({
+    text: { type: 'mrkdwn', text: `*+1 #${match.number} instead*` },
+    description: { type: 'plain_text', text: match.title.substring(0, 75) },
+    value: String(match.number),
+  }));
+  options.push({
+    text: { type: 'mrkdwn', text: '*Not a duplicate - file my request*' },
+    value: NOT_DUPLICATE,
+  });
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: ':mag: *This looks similar to existing open requests:*\n' +
+          matches.map(m => `• <${m.html_url}|#${m.number}: ${m.title}>`).join('\n'),
+      },
+    },
+    {
+      type: 'input',
+      block_id: DUPLICATE_BLOCK_ID,
+      element: {
+        type: 'radio_buttons',
+        action_id: DUPLICATE_ACTION_ID,
+        options,
+      },
+      label: {
+        type: 'plain_text',
+        text: 'Is your request a duplicate?',
+      },
+    },
+  ];
+}
+
+/**
+ * Read the user's duplicate choice from modal state
+ * @param {object} stateValues - view.state.values from Slack
+ * @returns {{ checked: boolean, issueNumber: number|null }}
+ *   checked is false when the duplicate question has not been shown yet
+ */
+function readDuplicateChoice(stateValues = {}) {
+  const input = stateValues[DUPLICATE_BLOCK_ID]?.[DUPLICATE_ACTION_ID];
+  if (!input) return { checked: false, issueNumber: null };
+
+  const value = input.selected_option?.value;
+  return {
+    checked: true,
+    issueNumber: value && value !== NOT_DUPLICATE ? parseInt(value, 10) : null,
+  };
+}
+
+module.exports = {
+  findSimilarIssues,
+  buildDuplicateBlocks,
+  readDuplicateChoice
+};
@@ -0,0 +1,493 @@
+// Billing Request Form Schema - Declarative field definitions for the request modal
+
+const { getAreas } = require('./routing');
+
+// Version of the form (fields and layouts), recorded in each issue's metadata block.
+// Bump it when fields are added, removed or change meaning.
+const FORM_VERSION = 1;
+
+/**
+ * Request types shown in the Type select, in display order
+ */
+const REQUEST_TYPES = [
+  { value: 'bug', label: 'Bug' },
+  { value: 'feature', label: 'Feature' },
+  { value: 'enhancement', label: 'Enhancement' },
+];
+
+/**
+ * Priorities shown in the Priority select, in display order
+ */
+const PRIORITIES = [
+  { value: 'urgent', label: 'Urgent' },
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' },
+];
+
+/**
+ * Every field the modal can show, keyed by field name
+ *
+ * kind:      'text' (single line), 'multiline', 'select' or 'file'
+ * section:   Markdown heading the value renders under in the issue body
+ * footer:    Label for the "**Label:** value" line below the issue body divider
+ * dispatch:  Fire a block action on change (used to re-render the form by type)
+ */
+const FIELDS = {
+  title: {
+    blockId: 'title_block',
+    actionId: 'title_input',
+    kind: 'text',
+    label: 'Title',
+    placeholder: 'Enter a brief title for your request',
+  },
+  type: {
+    blockId: 'type_block',
+    actionId: 'type_select',
+    kind: 'select',
+    label: 'Type',
+    placeholder: 'Select type',
+    options: REQUEST_TYPES,
+    footer: 'Type',
+    dispatch: true,
+  },
+  priority: {
+    blockId: 'priority_block',
+    actionId: 'priority_select',
+    kind: 'select',
+    label: 'Priority',
+    placeholder: 'Select priority',
+    options: PRIORITIES,
+    footer: 'Priority',
+  },
+  area: {
+    blockId: 'area_block',
+    actionId: 'area_select',
+    kind: 'select',
+    label: 'Area',
+    placeholder: 'Select the billing area',
+    // Only shown when areas are configured in REQUEST_ROUTING
+    options: getAreas(),
+    footer: 'Area',
+  },
+  description: {
+    blockId: 'description_block',
+    actionId: 'description_input',
+    kind: 'multiline',
+    label: 'Description',
+    placeholder: 'Describe the issue or feature request in detail',
+    section: 'Description',
+  },
+  current_behavior: {
+    blockId: 'current_behavior_block',
+    actionId: 'current_behavior_input',
+    kind: 'multiline',
+    label: 'Current Behavior',
+    placeholder: 'How does this work today?',
+    section: 'Current Behavior',
+  },
+  steps: {
+    blockId: 'steps_block',
+    actionId: 'steps_input',
+    kind: 'multiline',
+    label: 'Steps to Reproduce',
+    placeholder: '1. Go to...\n2. Click on...\n3. Observe that...',
+    section: 'Steps to Reproduce',
+    optional: true,
+  },
+  expected_behavior: {
+    blockId: 'expected_behavior_block',
+    actionId: 'expected_behavior_input',
+    kind: 'multiline',
+    label: 'Expected Behavior',
+    placeholder: 'What did you expect to happen instead?',
+    section: 'Expected Behavior',
+    optional: true,
+  },
+  business_impact: {
+    blockId: 'business_impact_block',
+    actionId: 'business_impact_input',
+    kind: 'multiline',
+    label: 'Business Impact',
+    placeholder: 'Who needs this and what does it unblock? (e.g., hours saved at month-end close)',
+    section: 'Business Impact',
+    optional: true,
+  },
+  acceptance: {
+    blockId: 'acceptance_block',
+    actionId: 'acceptance_input',
+    kind: 'multiline',
+    label: 'Acceptance Criteria',
+    placeholder: 'What should happen when this is complete?',
+    section: 'Acceptance Criteria',
+  },
+  attachments: {
+    blockId: 'attachments_block',
+    actionId: 'attachments_input',
+    kind: 'file',
+    label: 'Attachments',
+    placeholder: 'Screenshots, exports or invoices that show the problem',
+    section: 'Attachments',
+    optional: true,
+    maxFiles: 10,
+  },
+};
+
+/**
+ * Field layout per request type (in modal order)
+ * The `default` layout is shown until a type has been selected.
+ */
+const FORM_LAYOUTS = {
+  default: ['title', 'type', 'priority', 'area', 'description', 'acceptance', 'attachments'],
+  bug: ['title', 'type', 'priority', 'area', 'description', 'steps', 'expected_behavior', 'acceptance', 'attachments'],
+  feature: ['title', 'type', 'priority', 'area', 'description', 'business_impact', 'acceptance', 'attachments'],
+  enhancement: ['title', 'type', 'priority', 'area', 'current_behavior', 'description', 'business_impact', 'acceptance', 'attachments'],
+};
+
+/**
+ * Fields the requester can change after filing (Edit button on the confirmation)
+ */
+const EDIT_LAYOUT = ['title', 'priority', 'description'];
+
+/**
+ * Fields rendered as "**Label:** value" lines below the issue body divider
+ */
+const FOOTER_FIELDS = ['priority', 'type', 'area'];
+
+/**
+ * Get the ordered field definitions for a request type
+ * Select fields without any options (e.g., Area with no areas configured) are left out.
+ * @param {string|null} type - Request type value (bug, feature, enhancement)
+ * @returns {Array<object>} - Field definitions with their `key` attached
+ */
+function getFieldsForType(type) {
+  const layout = FORM_LAYOUTS[type] || FORM_LAYOUTS.default;
+  return layout
+    .map(key => ({ key, ...FIELDS[key] }))
+    .filter(field => field.kind !== 'select' || field.options.length > 0);
+}
+
+/**
+ * Look up the display label for a select field value
+ * @param {string} fieldKey - Field name (e.g., 'type', 'priority')
+ * @param {string} value - Option value
+ * @returns {string}
+ */
+function getOptionLabel(fieldKey, value) {
+  const option = FIELDS[fieldKey]?.options?.find(o => o.value === value);
+  return option ? option.label : value;
+}
+
+/**
+ * Build a Slack Block Kit option object
+ */
+function toSlackOption(option) {
+  return {
+    text: { type: 'plain_text', text: option.label },
+    value: option.value,
+  };
+}
+
+/**
+ * Get the block_id a field is rendered with
+ * Slack keeps typed input across views.update for unchanged block IDs, so a view that must
+ * replace what the user typed (a draft) renders its inputs under a new revision suffix.
+ * @param {string} fieldKey - Field name
+ * @param {number} revision - 0 for the original IDs
+ * @returns {string}
+ */
+function fieldBlockId(fieldKey, revision = 0) {
+  const { blockId } = FIELDS[fieldKey];
+  return revision ? `${blockId}_d${revision}` : blockId;
+}
+
+/**
+ * Find a field's input in a modal's state values, whatever revision it was rendered with
+ */
+function findFieldInput(stateValues, field) {
+  const prefix = `${field.blockId}_d`;
+  const blockId = Object.keys(stateValues).find(id => id === field.blockId || id.startsWith(prefix));
+  return blockId ? stateValues[blockId][field.actionId] : undefined;
+}
+
+/**
+ * Build a single input block for a field, prefilled with an existing value
+ * @param {object} field - Field definition from getFieldsForType()
+ * @param {string|null} value - Current value to preserve
+ * @param {number} revision - Block ID revision (see fieldBlockId())
+ * @returns {object} - Slack input block
+ */
+function buildInputBlock(field, value, revision = 0) {
+  let element;
+  if (field.kind === 'file') {
+    element = {
+      type: 'file_input',
+      action_id: field.actionId,
+      max_files: field.maxFiles,
+    };
+  } else if (field.kind === 'select') {
+    element = {
+      type: 'static_select',
+      action_id: field.actionId,
+      placeholder: { type: 'plain_text', text: field.placeholder },
+      options: field.options.map(toSlackOption),
+    };
+    const selected = field.options.find(o => o.value === value);
+    if (selected) {
+      element.initial_option = toSlackOption(selected);
+    }
+  } else {
+    element = {
+      type: 'plain_text_input',
+      action_id: field.actionId,
+      placeholder: { type: 'plain_text', text: field.placeholder },
+    };
+    if (field.kind === 'multiline') {
+      element.multiline = true;
+    }
+    if (value) {
+      element.initial_value = value;
+    }
+  }
+
+  const block = {
+    type: 'input',
+    block_id: fieldBlockId(field.key, revision),
+    element,
+    label: { type: 'plain_text', text: field.label },
+  };
+  if (field.kind === 'file') {
+    // File inputs can't be prefilled, so say what's already been uploaded
+    block.hint = {
+      type: 'plain_text',
+      text: value?.length
+        ? `${value.length} file(s) already attached will be kept. Add more here.`
+        : field.placeholder,
+    };
+  }
+  if (field.optional) block.optional = true;
+  if (field.dispatch) block.dispatch_action = true;
+  return block;
+}
+
+/**
+ * Build a modal view from field definitions
+ */
+function buildView(fields, values, { callbackId, title, submit, revision = 0 }) {
+  const blocks = fields.map(field => buildInputBlock(field, values[field.key], revision));
+
+  return {
+    type: 'modal',
+    callback_id: callbackId,
+    title: {
+      type: 'plain_text',
+      text: title,
+    },
+    submit: {
+      type: 'plain_text',
+      text: submit,
+    },
+    close: {
+      type: 'plain_text',
+      text: 'Cancel',
+    },
+    blocks,
+  };
+}
+
+/**
+ * Build the billing request modal for a request type
+ * @param {string|null} type - Selected request type (null before one is chosen)
+ * @param {object} values - Field values to preserve, keyed by field name
+ * @param {number} revision - Block ID revision; bump it to replace what the user typed (see fieldBlockId())
+ * @returns {object} - Slack modal view
+ */
+function buildModalView(type = null, values = {}, revision = 0) {
+  return buildView(getFieldsForType(type), values, {
+    callbackId: 'billing_request_modal',
+    title: 'Billing Request',
+    submit: 'Submit',
+    revision,
+  });
+}
+
+/**
+ * Build the modal for editing a filed request
+ * @param {object} values - Current values (from parseIssueBody plus the issue title)
+ * @returns {object} - Slack modal view
+ */
+function buildEditModalView(values = {}) {
+  const fields = EDIT_LAYOUT.map(key => ({ key, ...FIELDS[key] }));
+  return buildView(fields, values, {
+    callbackId: 'billing_request_edit_modal',
+    title: 'Edit Billing Request',
+    submit: 'Save',
+  });
+}
+
+/**
+ * Read every known field out of a modal's state values
+ * Fields are matched by block ID prefix, so any revision (see fieldBlockId()) is read.
+ * Fields that are not in the current view come back as null.
+ * @param {object} stateValues - view.state.values from Slack
+ * @returns {object} - Values keyed by field name
+ */
+function readFormValues(stateValues = {}) {
+  const values = {};
+  for (const [key, field] of Object.entries(FIELDS)) {
+    const input = findFieldInput(stateValues, field);
+    if (field.kind === 'select') {
+      values[key] = input?.selected_option?.value || null;
+    } else if (field.kind === 'file') {
+      values[key] = input?.files?.length ? input.files.map(file => file.id) : null;
+    } else {
+      values[key] = input?.value || null;
+    }
+  }
+  return values;
+}
+
+/**
+ * Save uploaded file IDs into private_metadata before the modal is re-rendered
+ * (Slack file inputs can't be prefilled, so the files would otherwise be lost)
+ * @param {object} metadata - Parsed private_metadata
+ * @param {object} values - Values keyed by field name (from readFormValues)
+ * @returns {object} - Metadata to store on the updated view
+ */
+function stashFiles(metadata, values) {
+  const stashed = {};
+  for (const [key, field] of Object.entries(FIELDS)) {
+    if (field.kind === 'file' && values[key]?.length) {
+      stashed[key] = values[key];
+    }
+  }
+  return { ...metadata, stashed_files: stashed };
+}
+
+/**
+ * Merge file IDs saved by stashFiles() back into freshly read form values
+ * @param {object} values - Values keyed by field name (from readFormValues)
+ * @param {object} metadata - Parsed private_metadata
+ * @returns {object} - The same values object
+ */
+function restoreFiles(values, metadata = {}) {
+  for (const [key, fileIds] of Object.entries(metadata.stashed_files || {})) {
+    values[key] = Array.from(new Set([...fileIds, ...(values[key] || [])]));
+  }
+  return values;
+}
+
+/**
+ * Render the human-readable part of the GitHub issue body from form values
+ * Sections render in the request type's field order, followed by the footer fields.
+ * File fields must already be rendered to Markdown by the caller.
+ * @param {object} values - Values keyed by field name (from readFormValues)
+ * @returns {string} - Markdown ending with the footer lines
+ */
+function buildIssueBody(values) {
+  const fields = getFieldsForType(values.type);
+  let body = '';
+
+  for (const field of fields) {
+    if (field.section && values[field.key]) {
+      body += `## ${field.section}\n${values[field.key]}\n\n`;
+    }
+  }
+
+  body += `---\n`;
+  for (const key of FOOTER_FIELDS) {
+    if (values[key]) {
+      body += `**${FIELDS[key].footer}:** ${getOptionLabel(key, values[key])}\n`;
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Pattern matching a "## Heading" section's content, up to the next known section or the divider
+ */
+function sectionPattern(heading) {
+  const headings = Object.values(FIELDS)
+    .filter(f => f.section)
+    .map(f => escapeRegExp(f.section))
+    .join('|');
+  return new RegExp(`(^## ${escapeRegExp(heading)}\\n)([\\s\\S]*?)(?=\\n\\n## (?:${headings})\\n|\\n\\n?---\\n|$(?![\\s\\S]))`, 'm');
+}
+
+/**
+ * Pattern matching a "**Label:** value" footer line
+ */
+function footerPattern(label) {
+  return new RegExp(`(^\\*\\*${escapeRegExp(label)}:\\*\\* )(.*)$`, 'm');
+}
+
+/**
+ * Read form values back out of an issue body written by buildIssueBody()
+ * @param {string} body - GitHub issue body
+ * @returns {object} - Values keyed by field name (only fields found in the body)
+ */
+function parseIssueBody(body = '') {
+  const values = {};
+  for (const [key, field] of Object.entries(FIELDS)) {
+    if (field.section) {
+      const match = body.match(sectionPattern(field.section));
+      if (match) values[key] = match[2].trim();
+    } else if (field.footer) {
+      const match = body.match(footerPattern(field.footer));
+      if (match) {
+        const label = match[2].trim();
+        const option = field.options?.find(o => o.label === label);
+        values[key] = option ? option.value : label;
+      }
+    }
+  }
+  return values;
+}
+
+/**
+ * Rewrite sections and footer lines of an existing issue body in place
+ * Everything else (attachments, Slack metadata, manual edits) is left untouched.
+ * @param {string} body - Current GitHub issue body
+ * @param {object} values - New values keyed by field name
+ * @returns {string} - Updated body
+ */
+function updateIssueBody(body, values) {
+  let updated = body || '';
+  for (const [key, value] of Object.entries(values)) {
+    const field = FIELDS[key];
+    if (!field || value == null) continue;
+
+    if (field.section) {
+      updated = updated.replace(sectionPattern(field.section), (match, heading) => `${heading}${value}`);
+    } else if (field.footer) {
+      updated = updated.replace(footerPattern(field.footer), (match, label) => `${label}${getOptionLabel(key, value)}`);
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  FORM_VERSION,
+  REQUEST_TYPES,
+  PRIORITIES,
+  FIELDS,
+  getFieldsForType,
+  getOptionLabel,
+  fieldBlockId,
+  buildModalView,
+  buildEditModalView,
+  readFormValues,
+  stashFiles,
+  restoreFiles,
+  buildIssueBody,
+  parseIssueBody,
+  updateIssueBody
+};
@@ -0,0 +1,95 @@
+// Health Checks - Liveness and readiness reports for /healthz and /readyz
+
+// How long a single dependency check may take before it counts as failed
+const CHECK_TIMEOUT_MS = 5000;
+
+// How long a readiness report is reused, so frequent probes don't hammer external APIs
+const READINESS_CACHE_MS = 10 * 1000;
+
+const startedAt = Date.now();
+
+/**
+ * Reject if a promise takes longer than the timeout
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run one dependency check and time it
+ * @param {object} check
+ * @param {boolean} check.configured - false reports the dependency as skipped without running it
+ * @param {boolean} check.required - Whether the app can't serve requests without it
+ * @param {Function} check.run - Async function that throws when the dependency is unhealthy
+ *   (it may return an object of extra details to report)
+ * @returns {Promise<object>} - { status: 'ok'|'error'|'skipped', required, latency_ms, error?, ...details }
+ */
+async function runCheck({ configured = true, required = false, run }) {
+  if (!configured) {
+    return { status: 'skipped', required };
+  }
+
+  const start = Date.now();
+  try {
+    const details = await withTimeout(Promise.resolve().then(run), CHECK_TIMEOUT_MS);
+    return { status: 'ok', required, latency_ms: Date.now() - start, ...(details || {}) };
+  } catch (error) {
+    return { status: 'error', required, latency_ms: Date.now() - start, error: error.message };
+  }
+}
+
+/**
+ * Process liveness (no dependencies are checked)
+ * @returns {object}
+ */
+function getLiveness() {
+  return {
+    status: 'ok',
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    memory_rss_mb: Math.round(process.memoryUsage().rss / 1024 / 1024)
+  };
+}
+
+let cachedReadiness = null;
+
+/**
+ * Check every dependency in parallel
+ * The app is ready when no required dependency failed; failures of optional ones
+ * (the financial analyst's data sources) only mark it degraded.
+ * @param {object} checks - Check definitions for runCheck(), keyed by dependency name
+ * @returns {Promise<{ ready: boolean, report: object }>}
+ */
+async function getReadiness(checks) {
+  if (cachedReadiness && Date.now() - cachedReadiness.checkedAt < READINESS_CACHE_MS) {
+    return cachedReadiness.result;
+  }
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(checks[name])));
+
+  const dependencies = {};
+  names.forEach((name, i) => { dependencies[name] = results[i]; });
+
+  const ready = results.every(r => r.status !== 'error' || !r.required);
+  const degraded = results.some(r => r.status === 'error');
+  const result = {
+    ready,
+    report: {
+      status: !ready ? 'unavailable' : degraded ? 'degraded' : 'ok',
+      checked_at: new Date().toISOString(),
+      dependencies
+    }
+  };
+
+  cachedReadiness = { checkedAt: Date.now(), result };
+  return result;
+}
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
@@ -0,0 +1,149 @@
+// Issue Metadata - Reads and writes the Slack details the app stores in GitHub issue bodies and comments
+//
+// Issues carry one machine-readable block at the end of the body:
+//
+//   <!-- billing-request-metadata
+//   {"version":1,"requester_id":"U123","channel_id":"C123","thread_ts":"1700000000.000100",...}
+//   -->
+//
+// Issues filed before the block existed (version 0) instead have ad-hoc
+// <!-- slack_channel:... --> / <!-- slack_thread_ts:... --> comments and footer lines;
+// parseIssueMetadata() reads either format.
+
+const { parseIssueBody } = require('./form-schema');
+
+// Marks GitHub comments written by the app on behalf of Slack users
+// (thread replies, +1s, withdrawals) so they aren't mirrored back or counted as responses
+const SLACK_SYNC_MARKER = '<!-- slack_sync -->';
+
+// Current metadata block version
+const METADATA_VERSION = 1;
+
+// Fields stored in the metadata block, in the order they are written
+const METADATA_FIELDS = [
+  'requester_id',
+  'reporter_id',
+  'channel_id',
+  'thread_ts',
+  'type',
+  'priority',
+  'source_permalink',
+  'form_version',
+];
+
+// Only the block at the very end of the body counts: a requester can paste a lookalike
+// block into the description, and it must not override the app's own
+const METADATA_PATTERN = /<!-- billing-request-metadata[ \t]*\n([^\n]*)\n-->\s*$/;
+const LEGACY_MARKER_PATTERN = /\n*<!-- slack_(?:channel|thread_ts):[\w.]+ -->/g;
+
+/**
+ * Read the metadata written by the legacy (version 0) issue format
+ * @param {string} body
+ * @returns {object}
+ */
+function parseLegacyMetadata(body) {
+  const channelMatch = body.match(/<!-- slack_channel:(\w+) -->/);
+  const tsMatch = body.match(/<!-- slack_thread_ts:([\d.]+) -->/);
+  const requesterMatch = body.match(/\*\*Submitted via:\*\* Slack by <@(\w+)>/);
+  const reporterMatch = body.match(/\*\*Reported by:\*\* <@(\w+)>/);
+  const sourceMatch = body.match(/\*\*Source message:\*\* (\S+)/);
+  const { type, priority } = parseIssueBody(body);
+
+  return {
+    version: 0,
+    requester_id: requesterMatch ? requesterMatch[1] : null,
+    reporter_id: reporterMatch ? reporterMatch[1] : null,
+    channel_id: channelMatch ? channelMatch[1] : null,
+    thread_ts: tsMatch ? tsMatch[1] : null,
+    type: type || null,
+    priority: priority || null,
+    source_permalink: sourceMatch ? sourceMatch[1] : null,
+    form_version: null,
+  };
+}
+
+/**
+ * Read the request metadata from an issue body (either format)
+ * Every field in METADATA_FIELDS is present; unknown values are null.
+ * @param {string} issueBody
+ * @returns {object} - { version, requester_id, reporter_id, channel_id, thread_ts, type, priority, source_permalink, form_version }
+ */
+function parseIssueMetadata(issueBody) {
+  const body = issueBody || '';
+  const match = body.match(METADATA_PATTERN);
+
+  if (match) {
+    try {
+      const data = JSON.parse(match[1]);
+      const metadata = { version: data.version || METADATA_VERSION };
+      for (const field of METADATA_FIELDS) {
+        metadata[field] = data[field] ?? null;
+      }
+      return metadata;
+    } catch (error) {
+      console.error('[Metadata] Invalid metadata block, reading legacy markers instead:', error.message);
+    }
+  }
+
+  return parseLegacyMetadata(body);
+}
+
+/**
+ * Render a metadata block
+ * @param {object} metadata - Values for METADATA_FIELDS (missing ones are written as null)
+ * @returns {string}
+ */
+function buildMetadataBlock(metadata) {
+  const data = { version: METADATA_VERSION };
+  for (const field of METADATA_FIELDS) {
+    data[field] = metadata[field] ?? null;
+  }
+  return `<!-- billing-request-metadata\n${JSON.stringify(data)}\n-->`;
+}
+
+/**
+ * Update (or add) the metadata block in an issue body
+ * Legacy markers are removed and their values carried into the block.
+ * @param {string} issueBody - Current GitHub issue body
+ * @param {object} updates - Metadata fields to change
+ * @returns {string} - Updated body
+ */
+function setIssueMetadata(issueBody, updates = {}) {
+  const body = issueBody || '';
+  const metadata = { ...parseIssueMetadata(body), ...updates };
+
+  const stripped = body
+    .replace(METADATA_PATTERN, '')
+    .replace(LEGACY_MARKER_PATTERN, '')
+    .trimEnd();
+  return `${stripped}\n\n${buildMetadataBlock(metadata)}`;
+}
+
+/**
+ * Extract Slack metadata from issue body (channel ID and message timestamp for threading)
+ * @param {string} issueBody
+ * @returns {{ channelId: string|null, threadTs: string|null }}
+ */
+function extractSlackMetadata(issueBody) {
+  const { channel_id: channelId, thread_ts: threadTs } = parseIssueMetadata(issueBody);
+  return { channelId, threadTs };
+}
+
+/**
+ * Extract the Slack user who submitted a request from the issue body
+ * @param {string} issueBody
+ * @returns {string|null} - Slack user ID
+ */
+function extractSubmitter(issueBody) {
+  return parseIssueMetadata(issueBody).requester_id;
+}
+
+module.exports = {
+  SLACK_SYNC_MARKER,
+  METADATA_VERSION,
+  parseIssueMetadata,
+  buildMetadataBlock,
+  setIssueMetadata,
+  extractSlackMetadata,
+  extractSubmitter
+};
@@ -0,0 +1,290 @@
+// Job Queue - Postgres-backed queue for webhook side effects (Slack posts, GitHub writes)
+// Jobs are retried with exponential backoff, rate-limited calls are rescheduled for when
+// the API allows them again, and jobs that keep failing are kept as dead letters.
+// A job can carry an idempotency key, so queueing it again (e.g., when a webhook delivery
+// is replayed) is a no-op while the first copy is still in the table.
+
+const { pool, isDatabaseConfigured } = require('./db');
+
+// Attempts before a job is dead-lettered
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '8', 10);
+
+// Backoff between attempts: 30s, 1m, 2m, 4m ... capped at 1 hour
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// How often the worker checks for due jobs when idle
+const POLL_INTERVAL_MS = 2000;
+
+// Jobs "running" for longer than this were interrupted (e.g., dyno restart) and are picked up again
+const STALE_LOCK_MINUTES = 5;
+
+// Finished jobs are pruned after this many days (dead letters are kept until retried or removed)
+const RETENTION_DAYS = 7;
+
+const handlers = {};
+let workerTimer = null;
+let draining = false;
+
+/**
+ * Create the jobs table and prune old finished jobs
+ */
+async function initJobsTable() {
+  if (!isDatabaseConfigured()) {
+    console.log('[Jobs] No DATABASE_URL configured, skipping table init');
+    return;
+  }
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id SERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (status, run_at)
+  `);
+  await pool.query(`
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS idempotency_key TEXT
+  `);
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS jobs_idempotency_key_idx ON jobs (idempotency_key)
+  `);
+
+  const result = await pool.query(
+    `DELETE FROM jobs
+     WHERE status = 'succeeded' AND updated_at < NOW() - ($1 || ' days')::INTERVAL`,
+    [RETENTION_DAYS]
+  );
+  console.log(`[Jobs] jobs table ready (pruned ${result.rowCount} finished jobs)`);
+}
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {function(object): Promise<void>} handler - Receives the job payload; throw to retry
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Queue a job
+ * Without a database, the job runs immediately instead (errors propagate to the caller).
+ * @param {string} type - Registered job type
+ * @param {object} payload - JSON-serializable job data
+ * @param {object} options
+ * @param {string|null} options.idempotencyKey - Skip the job if one with this key was already queued
+ * @returns {Promise<number|null>} - Job ID (null when run inline or skipped as already queued)
+ */
+async function enqueueJob(type, payload, { idempotencyKey = null } = {}) {
+  if (!handlers[type]) {
+    throw new Error(`No handler registered for job type ${type}`);
+  }
+
+  if (!isDatabaseConfigured()) {
+    await handlers[type](payload);
+    return null;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO jobs (type, payload, idempotency_key) VALUES ($1, $2, $3)
+     ON CONFLICT (idempotency_key) DO NOTHING
+     RETURNING id`,
+    [type, JSON.stringify(payload), idempotencyKey]
+  );
+
+  if (result.rows.length === 0) {
+    console.log(`[Jobs] Skipping ${type} job ${idempotencyKey}, already queued`);
+    return null;
+  }
+
+  // Run it right away rather than waiting for the next poll
+  setImmediate(drainJobs);
+  return result.rows[0].id;
+}
+
+/**
+ * Claim the next due job (or one whose worker died mid-run)
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob() {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = (
+       SELECT id FROM jobs
+       WHERE (status = 'queued' AND run_at <= CURRENT_TIMESTAMP)
+          OR (status = 'running' AND locked_at < NOW() - ($1 || ' minutes')::INTERVAL)
+       ORDER BY run_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [STALE_LOCK_MINUTES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * How long to wait before calling a rate-limited API again (null if the error isn't a rate limit)
+ * @param {Error} error - Error thrown by a Slack or GitHub client
+ * @returns {number|null} - Delay in milliseconds
+ */
+function getRateLimitDelay(error) {
+  // Slack WebClient with rejectRateLimitedCalls
+  if (error.code === 'slack_webapi_rate_limited_error') {
+    return (error.retryAfter || 60) * 1000;
+  }
+
+  // GitHub secondary rate limits send Retry-After; primary limits send the reset time
+  if (error.status === 403 || error.status === 429) {
+    const headers = error.response?.headers || {};
+    if (headers['retry-after']) {
+      return parseInt(headers['retry-after'], 10) * 1000;
+    }
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      return Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 1000);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {object} job - Row from the jobs table
+ */
+async function runJob(job) {
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type ${job.type}`);
+    await handler(job.payload);
+
+    await pool.query(
+      `UPDATE jobs SET status = 'succeeded', last_error = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [job.id]
+    );
+    return;
+  } catch (error) {
+    const rateLimitDelay = getRateLimitDelay(error);
+
+    if (rateLimitDelay !== null) {
+      // Rate limits aren't the job's fault - try again when allowed without using up an attempt
+      console.log(`[Jobs] Job ${job.id} (${job.type}) rate limited, retrying in ${Math.ceil(rateLimitDelay / 1000)}s`);
+      await reschedule(job, rateLimitDelay, error, { refundAttempt: true });
+    } else if (job.attempts >= MAX_ATTEMPTS) {
+      console.error(`[Jobs] Job ${job.id} (${job.type}) dead-lettered after ${job.attempts} attempts:`, error.message);
+      await pool.query(
+        `UPDATE jobs SET status = 'dead', last_error = $2, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [job.id, error.message]
+      );
+    } else {
+      const delay = Math.min(BASE_BACKOFF_MS * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+      console.error(`[Jobs] Job ${job.id} (${job.type}) failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      await reschedule(job, delay, error);
+    }
+  }
+}
+
+/**
+ * Put a job back in the queue to run after a delay
+ */
+async function reschedule(job, delayMs, error, { refundAttempt = false } = {}) {
+  await pool.query(
+    `UPDATE jobs
+     SET status = 'queued',
+         attempts = attempts - $3,
+         last_error = $4,
+         run_at = NOW() + ($2 || ' milliseconds')::INTERVAL,
+         locked_at = NULL,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [job.id, Math.round(delayMs), refundAttempt ? 1 : 0, error.message]
+  );
+}
+
+/**
+ * Run due jobs one at a time until none are left
+ */
+async function drainJobs() {
+  if (draining) return;
+  draining = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Jobs] Worker error:', error.message);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Start polling for due jobs (no-op without a database)
+ */
+function startJobWorker() {
+  if (!isDatabaseConfigured() || workerTimer) return;
+
+  workerTimer = setInterval(drainJobs, POLL_INTERVAL_MS);
+  drainJobs();
+  console.log('[Jobs] Worker started');
+}
+
+/**
+ * List jobs (for inspecting dead letters)
+ * @param {object} options
+ * @param {string} options.status - 'queued', 'running', 'succeeded' or 'dead' (all when omitted)
+ * @param {number} options.limit - Maximum jobs returned
+ * @returns {Promise<Array>}
+ */
+async function listJobs({ status = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM jobs
+     WHERE $1::TEXT IS NULL OR status = $1
+     ORDER BY updated_at DESC
+     LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Queue a dead-lettered job again with a fresh set of attempts
+ * @param {number} jobId
+ * @returns {Promise<boolean>} - False if the job doesn't exist or isn't dead
+ */
+async function retryDeadJob(jobId) {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'queued', attempts = 0, run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'dead'`,
+    [jobId]
+  );
+
+  if (result.rowCount > 0) setImmediate(drainJobs);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  initJobsTable,
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  listJobs,
+  retryDeadJob
+};
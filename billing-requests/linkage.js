@@ -0,0 +1,226 @@
+// Slack Linkage - Which Slack thread belongs to each issue, and which Slack message announced each PR
+// Stored in Postgres; the HTML comment markers in issue bodies are only read for older issues.
+
+const { pool, isDatabaseConfigured } = require('./db');
+const { extractSlackMetadata } = require('./issue-metadata');
+
+/**
+ * Create the linkage tables (safe to run multiple times)
+ */
+async function initLinkageTables() {
+  if (!isDatabaseConfigured()) {
+    console.log('[Linkage] No DATABASE_URL configured, skipping table init');
+    return;
+  }
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS issue_slack_threads (
+      repo TEXT NOT NULL,
+      issue_number INTEGER NOT NULL,
+      channel_id TEXT NOT NULL,
+      thread_ts TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (repo, issue_number)
+    )
+  `);
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS issue_slack_threads_thread_idx
+    ON issue_slack_threads (channel_id, thread_ts)
+  `);
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS pr_slack_messages (
+      repo TEXT NOT NULL,
+      pr_number INTEGER NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_ts TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (repo, pr_number, channel_id)
+    )
+  `);
+  // Message content (so it can be re-rendered with a CI status line) and the last CI status shown
+  await pool.query(`
+    ALTER TABLE pr_slack_messages
+    ADD COLUMN IF NOT EXISTS message JSONB,
+    ADD COLUMN IF NOT EXISTS ci_summary TEXT
+  `);
+  console.log('[Linkage] issue_slack_threads and pr_slack_messages tables ready');
+}
+
+/**
+ * Remember the Slack channel (and thread, once posted) for an issue
+ * @param {object} repoInfo - { owner, repo }
+ * @param {number} issueNumber
+ * @param {string} channelId
+ * @param {string|null} threadTs
+ * @returns {Promise<boolean>} - Whether the link was stored
+ */
+async function saveIssueThread({ owner, repo }, issueNumber, channelId, threadTs = null) {
+  if (!isDatabaseConfigured()) return false;
+
+  try {
+    await pool.query(
+      `INSERT INTO issue_slack_threads (repo, issue_number, channel_id, thread_ts)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (repo, issue_number)
+       DO UPDATE SET channel_id = EXCLUDED.channel_id,
+                     thread_ts = COALESCE(EXCLUDED.thread_ts, issue_slack_threads.thread_ts)`,
+      [`${owner}/${repo}`, issueNumber, channelId, threadTs]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[Linkage] Failed to save thread for ${owner}/${repo}#${issueNumber}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the Slack channel and thread for an issue
+ * Falls back to the markers in the issue body for issues filed before the linkage table existed.
+ * @param {object} repoInfo - { owner, repo }
+ * @param {object} issue - GitHub issue (number and body)
+ * @returns {Promise<{ channelId: string|null, threadTs: string|null }>}
+ */
+async function getIssueThread({ owner, repo }, issue) {
+  if (isDatabaseConfigured()) {
+    try {
+      const result = await pool.query(
+        'SELECT channel_id, thread_ts FROM issue_slack_threads WHERE repo = $1 AND issue_number = $2',
+        [`${owner}/${repo}`, issue.number]
+      );
+      if (result.rows.length > 0) {
+        const row = result.rows[0];
+        return { channelId: row.channel_id, threadTs: row.thread_ts };
+      }
+    } catch (error) {
+      console.error(`[Linkage] Failed to look up thread for ${owner}/${repo}#${issue.number}:`, error.message);
+    }
+  }
+
+  return extractSlackMetadata(issue.body);
+}
+
+/**
+ * Find the issue a Slack thread was created for
+ * @param {string} channelId
+ * @param {string} threadTs
+ * @returns {Promise<{ owner, repo, issueNumber }|null>} - null when not linked (or no database)
+ */
+async function findIssueForThread(channelId, threadTs) {
+  if (!isDatabaseConfigured()) return null;
+
+  try {
+    const result = await pool.query(
+      'SELECT repo, issue_number FROM issue_slack_threads WHERE channel_id = $1 AND thread_ts = $2',
+      [channelId, threadTs]
+    );
+    if (result.rows.length === 0) return null;
+
+    const [owner, repo] = result.rows[0].repo.split('/');
+    return { owner, repo, issueNumber: result.rows[0].issue_number };
+  } catch (error) {
+    console.error(`[Linkage] Failed to look up issue for thread ${channelId}/${threadTs}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Remember the Slack message that announced a PR (so later PR updates thread under it)
+ * @param {object} repoInfo - { owner, repo }
+ * @param {number} prNumber
+ * @param {string} channelId
+ * @param {string} messageTs
+ * @param {object|null} message - { text, blocks } the message was posted with
+ * @returns {Promise<boolean>} - Whether the link was stored
+ */
+async function savePRMessage({ owner, repo }, prNumber, channelId, messageTs, message = null) {
+  if (!isDatabaseConfigured()) return false;
+
+  try {
+    await pool.query(
+      `INSERT INTO pr_slack_messages (repo, pr_number, channel_id, message_ts, message)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (repo, pr_number, channel_id)
+       DO UPDATE SET message_ts = EXCLUDED.message_ts, message = EXCLUDED.message, ci_summary = NULL`,
+      [`${owner}/${repo}`, prNumber, channelId, messageTs, message ? JSON.stringify(message) : null]
+    );
+    return true;
+  } catch (error) {
+    console.error(`[Linkage] Failed to save PR message for ${owner}/${repo}#${prNumber}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Get the Slack message that announced a PR in a channel
+ * @param {object} repoInfo - { owner, repo }
+ * @param {number} prNumber
+ * @param {string} channelId
+ * @returns {Promise<{ channelId: string, threadTs: string }|null>} - null when not stored (or no database)
+ */
+async function getPRMessage({ owner, repo }, prNumber, channelId) {
+  if (!isDatabaseConfigured()) return null;
+
+  try {
+    const result = await pool.query(
+      'SELECT channel_id, message_ts FROM pr_slack_messages WHERE repo = $1 AND pr_number = $2 AND channel_id = $3',
+      [`${owner}/${repo}`, prNumber, channelId]
+    );
+    if (result.rows.length === 0) return null;
+
+    return { channelId: result.rows[0].channel_id, threadTs: result.rows[0].message_ts };
+  } catch (error) {
+    console.error(`[Linkage] Failed to look up PR message for ${owner}/${repo}#${prNumber}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List every Slack message that announced a PR, with its content and CI status
+ * @param {object} repoInfo - { owner, repo }
+ * @param {number} prNumber
+ * @returns {Promise<Array<{ channelId, messageTs, message, ciSummary }>>} - Empty without a database
+ */
+async function listPRMessages({ owner, repo }, prNumber) {
+  if (!isDatabaseConfigured()) return [];
+
+  const result = await pool.query(
+    `SELECT channel_id, message_ts, message, ci_summary
+     FROM pr_slack_messages
+     WHERE repo = $1 AND pr_number = $2`,
+    [`${owner}/${repo}`, prNumber]
+  );
+  return result.rows.map(row => ({
+    channelId: row.channel_id,
+    messageTs: row.message_ts,
+    message: row.message,
+    ciSummary: row.ci_summary
+  }));
+}
+
+/**
+ * Record the CI status last shown on a PR's Slack message
+ * @param {object} repoInfo - { owner, repo }
+ * @param {number} prNumber
+ * @param {string} channelId
+ * @param {string} ciSummary
+ */
+async function savePRCISummary({ owner, repo }, prNumber, channelId, ciSummary) {
+  if (!isDatabaseConfigured()) return;
+
+  await pool.query(
+    `UPDATE pr_slack_messages SET ci_summary = $4
+     WHERE repo = $1 AND pr_number = $2 AND channel_id = $3`,
+    [`${owner}/${repo}`, prNumber, channelId, ciSummary]
+  );
+}
+
+module.exports = {
+  initLinkageTables,
+  saveIssueThread,
+  getIssueThread,
+  findIssueForThread,
+  savePRMessage,
+  getPRMessage,
+  listPRMessages,
+  savePRCISummary
+};
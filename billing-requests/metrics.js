@@ -0,0 +1,72 @@
+// Metrics - Prometheus counters and histograms for billing requests and GitHub webhooks
+// Registered on prom-client's default registry, which /metrics serves (along with the
+// financial analyst's metrics and Node process metrics).
+
+const client = require('prom-client');
+
+// Node process metrics (memory, event loop lag, GC) alongside the app's own
+client.collectDefaultMetrics();
+
+const requestsCreated = new client.Counter({
+  name: 'billing_requests_created_total',
+  help: 'Billing requests filed as GitHub issues',
+  labelNames: ['type', 'priority']
+});
+
+const webhookEvents = new client.Counter({
+  name: 'github_webhook_events_total',
+  help: 'GitHub webhook events received, by event type and outcome',
+  labelNames: ['event', 'outcome']
+});
+
+const webhookDuration = new client.Histogram({
+  name: 'github_webhook_processing_seconds',
+  help: 'Time spent handling a GitHub webhook event',
+  labelNames: ['event', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+});
+
+/**
+ * Count a billing request filed through the modal
+ * @param {string|null} type
+ * @param {string|null} priority
+ */
+function recordRequestCreated(type, priority) {
+  requestsCreated.inc({ type: type || 'none', priority: priority || 'none' });
+}
+
+/**
+ * Count a webhook event that wasn't handled (rejected or already processed)
+ * @param {string} event - X-GitHub-Event header
+ * @param {string} outcome - e.g. 'invalid_signature', 'duplicate'
+ */
+function recordWebhookEvent(event, outcome) {
+  webhookEvents.inc({ event: event || 'unknown', outcome });
+}
+
+/**
+ * Time handling a webhook event and count its outcome ('succeeded' or 'failed')
+ * @param {string} event - X-GitHub-Event header
+ * @param {Function} handler - Async function that handles the event
+ * @returns {Promise<*>} - The handler's result (errors are rethrown)
+ */
+async function timeWebhookEvent(event, handler) {
+  const end = webhookDuration.startTimer({ event: event || 'unknown' });
+  try {
+    const result = await handler();
+    end({ outcome: 'succeeded' });
+    recordWebhookEvent(event, 'succeeded');
+    return result;
+  } catch (error) {
+    end({ outcome: 'failed' });
+    recordWebhookEvent(event, 'failed');
+    throw error;
+  }
+}
+
+module.exports = {
+  register: client.register,
+  recordRequestCreated,
+  recordWebhookEvent,
+  timeWebhookEvent
+};
@@ -0,0 +1,118 @@
+// PR Links - Which issues a pull request fixes, and which it only mentions
+//
+// A PR fixes an issue when GitHub lists it in the PR's closing issue references
+// (closing keywords against the default branch, or linked from the sidebar) or when
+// the PR body uses a closing keyword ("Fixes #12", "Closes owner/repo#12", ...).
+// Keywords are read too because GitHub ignores them on PRs into other branches.
+// Any other issue reference in the body is only a mention.
+
+// Closing issue references fetched per pull request
+const MAX_CLOSING_REFERENCES = 25;
+
+// Issue reference: #12, owner/repo#12 or https://github.com/owner/repo/issues/12
+const REF = '(?:https://github\\.com/([\\w.-]+)/([\\w.-]+)/issues/(\\d+)|(?:([\\w.-]+)/([\\w.-]+))?#(\\d+))';
+const KEYWORD_PATTERN = new RegExp(`\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\\s+${REF}`, 'gi');
+const MENTION_PATTERN = new RegExp(`(?:^|[^\\w/])${REF}\\b`, 'g');
+
+/**
+ * Build an issue reference
+ * @param {string} owner
+ * @param {string} repo
+ * @param {number} number
+ * @returns {{ owner, repo, fullName, number }}
+ */
+function toIssueRef(owner, repo, number) {
+  return { owner, repo, fullName: `${owner}/${repo}`, number };
+}
+
+// Owner and repo names are case-insensitive on GitHub
+function refKey(ref) {
+  return `${ref.fullName.toLowerCase()}#${ref.number}`;
+}
+
+/**
+ * Find the issue references matched by a pattern
+ * Short "#12" references are resolved against the PR's repository.
+ */
+function matchReferences(text, pattern, { owner, repo }) {
+  const refs = [];
+  for (const match of (text || '').matchAll(pattern)) {
+    if (match[3]) {
+      refs.push(toIssueRef(match[1], match[2], parseInt(match[3], 10)));
+    } else if (match[4]) {
+      refs.push(toIssueRef(match[4], match[5], parseInt(match[6], 10)));
+    } else {
+      refs.push(toIssueRef(owner, repo, parseInt(match[6], 10)));
+    }
+  }
+  return refs;
+}
+
+/**
+ * Get the issues GitHub will close when a pull request merges
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {number} prNumber
+ * @returns {Promise<Array<{ owner, repo, fullName, number }>>}
+ */
+async function getClosingIssueReferences(octokit, { owner, repo }, prNumber) {
+  const result = await octokit.graphql(
+    `query ($owner: String!, $repo: String!, $number: Int!, $first: Int!) {
+      repository(owner: $owner, name: $repo) {
+        pullRequest(number: $number) {
+          closingIssuesReferences(first: $first) {
+            nodes {
+              number
+              repository { name owner { login } }
+            }
+          }
+        }
+      }
+    }`,
+    { owner, repo, number: prNumber, first: MAX_CLOSING_REFERENCES }
+  );
+
+  const nodes = result.repository?.pullRequest?.closingIssuesReferences?.nodes || [];
+  return nodes.map(node => toIssueRef(node.repository.owner.login, node.repository.name, node.number));
+}
+
+/**
+ * Work out which issues a pull request fixes and which it only mentions
+ * If the GraphQL lookup fails, fixes come from the closing keywords in the PR body alone.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo } of the pull request
+ * @param {object} pr - Pull request (number and body)
+ * @returns {Promise<{ closing: Array, mentioned: Array }>} - Issue references ({ owner, repo, fullName, number })
+ */
+async function resolveLinkedIssues(octokit, repoInfo, pr) {
+  let linked = [];
+  try {
+    linked = await getClosingIssueReferences(octokit, repoInfo, pr.number);
+  } catch (error) {
+    console.error(`[PR Links] Failed to load closing issues for PR #${pr.number}:`, error.message);
+  }
+
+  const closing = new Map();
+  for (const ref of [...linked, ...matchReferences(pr.body, KEYWORD_PATTERN, repoInfo)]) {
+    closing.set(refKey(ref), ref);
+  }
+
+  const self = refKey(toIssueRef(repoInfo.owner, repoInfo.repo, pr.number));
+  const mentioned = new Map();
+  for (const ref of matchReferences(pr.body, MENTION_PATTERN, repoInfo)) {
+    const key = refKey(ref);
+    if (key !== self && !closing.has(key)) {
+      mentioned.set(key, ref);
+    }
+  }
+
+  return {
+    closing: Array.from(closing.values()),
+    mentioned: Array.from(mentioned.values())
+  };
+}
+
+module.exports = {
+  getClosingIssueReferences,
+  resolveLinkedIssues
+};
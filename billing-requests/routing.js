@@ -0,0 +1,222 @@
+// Request Routing - Picks the destination repo, labels and assignees for a billing request
+
+// Used when no routing is configured (and as the fallback route)
+const DEFAULT_REPO = 'chrisbru1/psbillingapp';
+
+/**
+ * Whether a value is a plain object (not null or an array)
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is an array of non-empty strings
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+/**
+ * Check a repo, labels and assignees entry (the default route or one of the routes)
+ */
+function validateTarget(target, where, problems) {
+  if (target.repo !== undefined && !/^[\w.-]+\/[\w.-]+$/.test(target.repo)) {
+    problems.push(`${where}.repo must be "owner/name" (got ${JSON.stringify(target.repo)})`);
+  }
+  for (const key of ['labels', 'assignees']) {
+    if (target[key] !== undefined && !isStringList(target[key])) {
+      problems.push(`${where}.${key} must be an array of strings`);
+    }
+  }
+}
+
+/**
+ * Find everything wrong with a parsed routing table
+ * @param {object} config - Parsed REQUEST_ROUTING
+ * @returns {string[]} - Problems found (empty when the table is valid)
+ */
+function validateRoutingConfig(config) {
+  if (!isObject(config)) {
+    return ['the routing table must be a JSON object'];
+  }
+
+  const problems = [];
+
+  if (config.default !== undefined) {
+    if (isObject(config.default)) {
+      validateTarget(config.default, 'default', problems);
+    } else {
+      problems.push('default must be an object');
+    }
+  }
+
+  if (config.areas !== undefined) {
+    if (!Array.isArray(config.areas)) {
+      problems.push('areas must be an array');
+    } else {
+      config.areas.forEach((area, i) => {
+        if (!isObject(area) || typeof area.value !== 'string' || typeof area.label !== 'string') {
+          problems.push(`areas[${i}] must have a string "value" and "label"`);
+        }
+      });
+    }
+  }
+
+  if (config.routes !== undefined) {
+    if (!Array.isArray(config.routes)) {
+      problems.push('routes must be an array');
+    } else {
+      config.routes.forEach((route, i) => {
+        if (!isObject(route)) {
+          problems.push(`routes[${i}] must be an object`);
+          return;
+        }
+        validateTarget(route, `routes[${i}]`, problems);
+        if (route.match !== undefined) {
+          if (!isObject(route.match)) {
+            problems.push(`routes[${i}].match must be an object`);
+          } else {
+            for (const [key, expected] of Object.entries(route.match)) {
+              if (typeof expected !== 'string' && !isStringList(expected)) {
+                problems.push(`routes[${i}].match.${key} must be a string or an array of strings`);
+              }
+            }
+          }
+        }
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Load the routing table from the REQUEST_ROUTING environment variable (JSON)
+ *
+ * Shape:
+ * {
+ *   "default": { "repo": "owner/name", "labels": [], "assignees": [] },
+ *   "areas":   [{ "value": "invoicing", "label": "Invoicing" }],
+ *   "routes":  [{ "match": { "area": "invoicing", "channel": "C123", "type": "bug" },
+ *                 "repo": "owner/name", "labels": ["invoicing"], "assignees": ["octocat"] }]
+ * }
+ *
+ * Routes are checked in order and the first whose `match` keys all equal the
+ * request wins. `match.channel` may be a single channel ID or an array.
+ *
+ * The table is validated when the module loads, so a bad config stops the app
+ * at startup instead of misrouting requests.
+ */
+function loadRoutingConfig() {
+  let config = {};
+  if (process.env.REQUEST_ROUTING) {
+    try {
+      config = JSON.parse(process.env.REQUEST_ROUTING);
+    } catch (error) {
+      throw new Error(`REQUEST_ROUTING is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const problems = validateRoutingConfig(config);
+  if (problems.length > 0) {
+    throw new Error(`Invalid REQUEST_ROUTING:\n${problems.map(p => `- ${p}`).join('\n')}`);
+  }
+
+  return {
+    default: {
+      repo: DEFAULT_REPO,
+      labels: [],
+      assignees: [],
+      ...config.default
+    },
+    areas: config.areas || [],
+    routes: config.routes || []
+  };
+}
+
+const routingConfig = loadRoutingConfig();
+
+/**
+ * Split "owner/name" into its parts
+ * @param {string} fullName
+ * @returns {{ owner: string, repo: string, fullName: string }}
+ */
+function parseRepo(fullName) {
+  const [owner, repo] = (fullName || '').split('/');
+  if (!owner || !repo) {
+    throw new Error(`Invalid repository "${fullName}" in routing config (expected "owner/name")`);
+  }
+  return { owner, repo, fullName: `${owner}/${repo}` };
+}
+
+/**
+ * Check whether a route's match criteria all apply to a request
+ */
+function routeMatches(match = {}, request) {
+  return Object.entries(match).every(([key, expected]) => {
+    const actual = request[key];
+    return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+  });
+}
+
+/**
+ * Resolve where a billing request should be filed
+ * @param {object} request
+ * @param {string} request.channel - Slack channel ID the request came from
+ * @param {string} request.type - Request type (bug, feature, enhancement)
+ * @param {string} request.area - Area selected in the modal (if areas are configured)
+ * @returns {{ owner, repo, fullName, labels: string[], assignees: string[] }}
+ */
+function resolveRoute(request = {}) {
+  const route = routingConfig.routes.find(r => routeMatches(r.match, request)) || {};
+  const fallback = routingConfig.default;
+
+  return {
+    ...parseRepo(route.repo || fallback.repo),
+    labels: route.labels || fallback.labels,
+    assignees: route.assignees || fallback.assignees
+  };
+}
+
+/**
+ * Get every repository requests can be routed to (default first)
+ * @returns {Array<{ owner, repo, fullName }>}
+ */
+function getConfiguredRepos() {
+  const names = [routingConfig.default.repo, ...routingConfig.routes.map(r => r.repo).filter(Boolean)];
+  return Array.from(new Set(names)).map(parseRepo);
+}
+
+/**
+ * Check whether a repository is one we route requests to
+ * @param {string} fullName - "owner/name" (case-insensitive, as GitHub treats it)
+ * @returns {boolean}
+ */
+function isConfiguredRepo(fullName) {
+  const target = (fullName || '').toLowerCase();
+  return getConfiguredRepos().some(r => r.fullName.toLowerCase() === target);
+}
+
+/**
+ * Get the areas offered in the request modal
+ * @returns {Array<{ value: string, label: string }>}
+ */
+function getAreas() {
+  return routingConfig.areas;
+}
+
+/**
+ * Get the resolved routing table (for diagnostics)
+ */
+function getRoutingConfig() {
+  return routingConfig;
+}
+
+module.exports = {
+  resolveRoute,
+  getConfiguredRepos,
+  isConfiguredRepo,
+  getAreas,
+  getRoutingConfig
+};
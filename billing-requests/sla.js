@@ -0,0 +1,331 @@
+// SLA Tracking - Response-time targets per priority and escalation of neglected requests
+
+const { getConfiguredRepos } = require('./routing');
+const { SLACK_SYNC_MARKER } = require('./issue-metadata');
+const { getIssueThread } = require('./linkage');
+
+// Hours a request may go without a response (assignee, comment or linked PR), per priority
+const DEFAULT_RESPONSE_HOURS = {
+  urgent: 2,
+  high: 8,
+  medium: 72,
+  low: 168
+};
+
+/**
+ * Load response targets, letting SLA_RESPONSE_HOURS (JSON) override individual priorities
+ */
+function loadResponseTargets() {
+  if (!process.env.SLA_RESPONSE_HOURS) return DEFAULT_RESPONSE_HOURS;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.SLA_RESPONSE_HOURS);
+  } catch (error) {
+    throw new Error(`SLA_RESPONSE_HOURS is not valid JSON: ${error.message}`);
+  }
+  if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+    throw new Error('SLA_RESPONSE_HOURS must be a JSON object of hours per priority');
+  }
+  return { ...DEFAULT_RESPONSE_HOURS, ...overrides };
+}
+
+/**
+ * Find everything wrong with the SLA settings
+ * @returns {string[]} - Problems found (empty when the settings are valid)
+ */
+function validateSlaConfig(targets, escalatePriorities) {
+  const problems = [];
+  for (const [priority, hours] of Object.entries(targets)) {
+    if (typeof hours !== 'number' || !(hours > 0)) {
+      problems.push(`SLA_RESPONSE_HOURS.${priority} must be a positive number of hours (got ${JSON.stringify(hours)})`);
+    }
+  }
+  for (const priority of escalatePriorities) {
+    if (!(priority in targets)) {
+      problems.push(`SLA_ESCALATE_PRIORITIES includes "${priority}", which has no target in SLA_RESPONSE_HOURS`);
+    }
+  }
+  return problems;
+}
+
+const RESPONSE_TARGET_HOURS = loadResponseTargets();
+
+// Priorities that are escalated when they miss their response target (comma-separated)
+const ESCALATE_PRIORITIES = (process.env.SLA_ESCALATE_PRIORITIES || 'urgent')
+  .split(',')
+  .map(p => p.trim())
+  .filter(Boolean);
+
+// Checked when the module loads, so a bad setting stops the app at startup
+// instead of escalating every request of a priority
+const slaProblems = validateSlaConfig(RESPONSE_TARGET_HOURS, ESCALATE_PRIORITIES);
+if (slaProblems.length > 0) {
+  throw new Error(`Invalid SLA settings:\n${slaProblems.map(p => `- ${p}`).join('\n')}`);
+}
+
+// Slack channel escalations are also posted to (besides the request's own thread)
+const ONCALL_CHANNEL = process.env.SLA_ONCALL_CHANNEL || null;
+
+// Label added once a request has been escalated, so it's only escalated once
+const ESCALATED_LABEL = 'sla-escalated';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Find when a request first got a response and when a PR was first linked
+ * A response is an assignment, a human comment (not Slack sync or a bot) or a linked PR.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} repoInfo - { owner, repo }
+ * @param {object} issue - GitHub issue
+ * @returns {Promise<{ firstResponseAt: Date|null, firstPrAt: Date|null }>}
+ */
+async function getResponseTimes(octokit, { owner, repo }, issue) {
+  const events = await octokit.paginate(octokit.issues.listEventsForTimeline, {
+    owner,
+    repo,
+    issue_number: issue.number,
+    per_page: 100
+  });
+
+  let firstResponseAt = null;
+  let firstPrAt = null;
+  const earliest = (current, candidate) => (!current || candidate < current ? candidate : current);
+
+  for (const event of events) {
+    const at = new Date(event.created_at);
+
+    if (event.event === 'assigned') {
+      firstResponseAt = earliest(firstResponseAt, at);
+    } else if (event.event === 'commented') {
+      const isSync = event.body?.includes(SLACK_SYNC_MARKER);
+      const isBot = (event.user || event.actor)?.type === 'Bot';
+      if (!isSync && !isBot) {
+        firstResponseAt = earliest(firstResponseAt, at);
+      }
+    } else if (event.event === 'cross-referenced' && event.source?.issue?.pull_request) {
+      firstResponseAt = earliest(firstResponseAt, at);
+      firstPrAt = earliest(firstPrAt, at);
+    }
+  }
+
+  return { firstResponseAt, firstPrAt };
+}
+
+/**
+ * Find open requests in escalated priorities that have missed their response target
+ * Only requests filed through Slack (with a request thread) are considered.
+ * @param {object} octokit - Authenticated Octokit client
+ * @returns {Promise<Array<{ repoInfo, issue, priority, ageHours }>>}
+ */
+async function findSlaBreaches(octokit) {
+  const breaches = [];
+  const now = Date.now();
+
+  for (const repoInfo of getConfiguredRepos()) {
+    for (const priority of ESCALATE_PRIORITIES) {
+      const issues = await octokit.paginate(octokit.issues.listForRepo, {
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        state: 'open',
+        labels: priority,
+        per_page: 100
+      });
+
+      for (const issue of issues) {
+        if (issue.pull_request) continue;
+        if (issue.labels.some(l => l.name === ESCALATED_LABEL)) continue;
+
+        const ageHours = (now - new Date(issue.created_at).getTime()) / HOUR_MS;
+        if (ageHours < RESPONSE_TARGET_HOURS[priority]) continue;
+        // Assigned issues have been responded to; skip the timeline lookup
+        if (issue.assignees?.length) continue;
+        if (!(await getIssueThread(repoInfo, issue)).channelId) continue;
+
+        const { firstResponseAt } = await getResponseTimes(octokit, repoInfo, issue);
+        if (!firstResponseAt) {
+          breaches.push({ repoInfo, issue, priority, ageHours });
+        }
+      }
+    }
+  }
+
+  return breaches;
+}
+
+/**
+ * Post an escalation for a breached request and label it so it's only escalated once
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} slackClient - Slack Web API client
+ * @param {object} breach - Result from findSlaBreaches()
+ */
+async function escalate(octokit, slackClient, { repoInfo, issue, priority, ageHours }) {
+  const target = RESPONSE_TARGET_HOURS[priority];
+  const text = `:rotating_light: *SLA breached:* ${priority} request <${issue.html_url}|#${issue.number}: ${issue.title}> ` +
+    `has had no assignee, comment or linked PR for ${Math.floor(ageHours)}h (target: ${target}h).`;
+
+  const { channelId, threadTs } = await getIssueThread(repoInfo, issue);
+  if (channelId && threadTs) {
+    await slackClient.chat.postMessage({
+      channel: channelId,
+      thread_ts: threadTs,
+      text,
+      unfurl_links: false
+    });
+  }
+
+  if (ONCALL_CHANNEL) {
+    await slackClient.chat.postMessage({
+      channel: ONCALL_CHANNEL,
+      text: `${text}\n_Repository: ${repoInfo.owner}/${repoInfo.repo}_`,
+      unfurl_links: false
+    });
+  }
+
+  await octokit.issues.addLabels({
+    owner: repoInfo.owner,
+    repo: repoInfo.repo,
+    issue_number: issue.number,
+    labels: [ESCALATED_LABEL]
+  });
+
+  console.log(`[SLA] Escalated ${repoInfo.owner}/${repoInfo.repo}#${issue.number} (${priority}, ${Math.floor(ageHours)}h old)`);
+}
+
+/**
+ * Find and escalate every request that has missed its response target
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} slackClient - Slack Web API client
+ * @returns {Promise<number>} - Number of requests escalated
+ */
+async function checkSlaBreaches(octokit, slackClient) {
+  const breaches = await findSlaBreaches(octokit);
+
+  let escalated = 0;
+  for (const breach of breaches) {
+    try {
+      await escalate(octokit, slackClient, breach);
+      escalated++;
+    } catch (error) {
+      console.error(`[SLA] Failed to escalate #${breach.issue.number}:`, error.message);
+    }
+  }
+  return escalated;
+}
+
+/**
+ * Median of a list of numbers (null for an empty list)
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Report time-to-first-response and time-to-PR per priority for recent Slack requests
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} options
+ * @param {number} options.days - How far back to look at created requests
+ * @returns {Promise<object>} - Stats keyed by priority
+ */
+async function getSlaReport(octokit, { days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * HOUR_MS);
+  const samples = {};
+  for (const priority of Object.keys(RESPONSE_TARGET_HOURS)) {
+    samples[priority] = { count: 0, responseHours: [], prHours: [], withinTarget: 0 };
+  }
+
+  for (const repoInfo of getConfiguredRepos()) {
+    const issues = await octokit.paginate(octokit.issues.listForRepo, {
+      owner: repoInfo.owner,
+      repo: repoInfo.repo,
+      state: 'all',
+      since: since.toISOString(),
+      per_page: 100
+    });
+
+    for (const issue of issues) {
+      if (issue.pull_request || new Date(issue.created_at) < since) continue;
+      if (!(await getIssueThread(repoInfo, issue)).channelId) continue;
+
+      const priority = issue.labels.map(l => l.name).find(name => samples[name]);
+      if (!priority) continue;
+
+      const createdAt = new Date(issue.created_at);
+      const { firstResponseAt, firstPrAt } = await getResponseTimes(octokit, repoInfo, issue);
+      const sample = samples[priority];
+      sample.count++;
+
+      if (firstResponseAt) {
+        const hours = (firstResponseAt - createdAt) / HOUR_MS;
+        sample.responseHours.push(hours);
+        if (hours <= RESPONSE_TARGET_HOURS[priority]) sample.withinTarget++;
+      }
+      if (firstPrAt) {
+        sample.prHours.push((firstPrAt - createdAt) / HOUR_MS);
+      }
+    }
+  }
+
+  const report = {};
+  for (const [priority, sample] of Object.entries(samples)) {
+    report[priority] = {
+      target_hours: RESPONSE_TARGET_HOURS[priority],
+      requests: sample.count,
+      responded: sample.responseHours.length,
+      within_target: sample.withinTarget,
+      median_response_hours: median(sample.responseHours),
+      with_pr: sample.prHours.length,
+      median_pr_hours: median(sample.prHours)
+    };
+  }
+  return report;
+}
+
+/**
+ * Format hours for display (e.g., "45m", "6.5h", "3.2d")
+ */
+function formatHours(hours) {
+  if (hours == null) return '–';
+  if (hours < 1) return `${Math.round(hours * 60)}m`;
+  if (hours < 48) return `${hours.toFixed(1)}h`;
+  return `${(hours / 24).toFixed(1)}d`;
+}
+
+/**
+ * Build Slack blocks for an SLA report
+ * @param {object} report - Result from getSlaReport()
+ * @param {number} days - Period the report covers
+ * @returns {Array<object>} - Slack blocks
+ */
+function buildSlaReportBlocks(report, days) {
+  const lines = Object.entries(report).map(([priority, r]) => {
+    const label = priority.charAt(0).toUpperCase() + priority.slice(1);
+    return `*${label}* (target ${formatHours(r.target_hours)}): ${r.requests} requests • ` +
+      `first response ${formatHours(r.median_response_hours)} median, ${r.within_target}/${r.requests} on target • ` +
+      `PR ${formatHours(r.median_pr_hours)} median (${r.with_pr} with PR)`;
+  });
+
+  return [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: `Billing request SLAs - last ${days} days` }
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.join('\n') }
+    }
+  ];
+}
+
+module.exports = {
+  RESPONSE_TARGET_HOURS,
+  getResponseTimes,
+  checkSlaBreaches,
+  getSlaReport,
+  buildSlaReportBlocks,
+  formatHours,
+  median
+};
@@ -0,0 +1,153 @@
+// Request Status - Looks up a requester's billing requests and their progress on GitHub
+
+const { getConfiguredRepos } = require('./routing');
+const { extractSubmitter } = require('./issue-metadata');
+
+// Maximum requests listed in one status response
+const MAX_RESULTS = 10;
+
+/**
+ * Find issues submitted through Slack by a user, across every routed repo
+ * Relies on the "Submitted via: Slack by <@user>" line written into issue bodies.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {string} userId - Slack user ID
+ * @param {object} options
+ * @param {string} options.state - 'open' or 'all'
+ * @returns {Promise<Array>} - GitHub issues, most recently updated first
+ */
+async function findRequestsByUser(octokit, userId, { state = 'open' } = {}) {
+  const qualifiers = getConfiguredRepos().map(r => `repo:${r.fullName}`);
+  qualifiers.push('is:issue');
+  if (state === 'open') qualifiers.push('is:open');
+
+  const { data } = await octokit.search.issuesAndPullRequests({
+    q: `${qualifiers.join(' ')} in:body "Slack by <@${userId}>"`,
+    sort: 'updated',
+    order: 'desc',
+    per_page: MAX_RESULTS * 2,
+  });
+
+  // Search is fuzzy about punctuation, so confirm the submitter line exactly
+  return data.items
+    .filter(issue => extractSubmitter(issue.body) === userId)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Split an issue's repository_url into owner/repo
+ */
+function repoFromIssue(issue) {
+  const [owner, repo] = issue.repository_url.split('/').slice(-2);
+  return { owner, repo };
+}
+
+/**
+ * Get pull requests that reference an issue, with their merge state
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {object} issue - GitHub issue (from search)
+ * @returns {Promise<Array<{ number, title, html_url, state: 'open'|'closed'|'merged', merged_at: string|null, repoInfo: { owner, repo } }>>}
+ */
+async function getLinkedPullRequests(octokit, issue) {
+  const { data: events } = await octokit.issues.listEventsForTimeline({
+    ...repoFromIssue(issue),
+    issue_number: issue.number,
+    per_page: 100,
+  });
+
+  const pulls = new Map();
+  for (const event of events) {
+    const source = event.source?.issue;
+    if (event.event !== 'cross-referenced' || !source?.pull_request) continue;
+
+    pulls.set(source.html_url, {
+      number: source.number,
+      title: source.title,
+      html_url: source.html_url,
+      state: source.pull_request.merged_at ? 'merged' : source.state,
+      merged_at: source.pull_request.merged_at || null,
+      repoInfo: repoFromIssue(source),
+    });
+  }
+  return Array.from(pulls.values());
+}
+
+/**
+ * Look up a user's requests with linked PRs
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {string} userId - Slack user ID
+ * @param {object} options - Same as findRequestsByUser()
+ * @returns {Promise<Array<{ issue, pulls }>>}
+ */
+async function getRequestStatuses(octokit, userId, options) {
+  const issues = await findRequestsByUser(octokit, userId, options);
+
+  return Promise.all(issues.map(async issue => {
+    let pulls = [];
+    try {
+      pulls = await getLinkedPullRequests(octokit, issue);
+    } catch (error) {
+      console.error(`[Status] Failed to load linked PRs for #${issue.number}:`, error.message);
+    }
+    return { issue, pulls };
+  }));
+}
+
+const PR_STATE_EMOJI = {
+  open: ':large_yellow_circle:',
+  merged: ':large_purple_circle:',
+  closed: ':red_circle:',
+};
+
+/**
+ * Build Slack blocks summarizing request statuses
+ * @param {Array} statuses - Results from getRequestStatuses()
+ * @param {string} heading - Heading text
+ * @returns {Array<object>} - Slack blocks
+ */
+function buildStatusBlocks(statuses, heading) {
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: heading },
+    },
+  ];
+
+  if (statuses.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: '_No billing requests found._' },
+    });
+    return blocks;
+  }
+
+  for (const { issue, pulls } of statuses) {
+    const { repo } = repoFromIssue(issue);
+    const state = issue.state === 'open' ? ':large_green_circle: Open' : ':white_check_mark: Closed';
+    const labels = issue.labels.map(l => `\`${l.name}\``).join(' ') || '_none_';
+    const assignee = issue.assignees?.length
+      ? issue.assignees.map(a => a.login).join(', ')
+      : '_unassigned_';
+
+    let text = `*<${issue.html_url}|${repo}#${issue.number}: ${issue.title}>*\n`;
+    text += `${state}  •  Assignee: ${assignee}  •  Labels: ${labels}`;
+    if (pulls.length > 0) {
+      text += '\n' + pulls
+        .map(pr => `${PR_STATE_EMOJI[pr.state]} <${pr.html_url}|PR #${pr.number}: ${pr.title}> (${pr.state})`)
+        .join('\n');
+    }
+
+    blocks.push({ type: 'divider' }, {
+      type: 'section',
+      text: { type: 'mrkdwn', text },
+    });
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  findRequestsByUser,
+  getLinkedPullRequests,
+  getRequestStatuses,
+  buildStatusBlocks
+};
@@ -0,0 +1,234 @@
+// Request Triage - Triage channel messages for new billing requests, with controls to act on the issue
+
+const { PRIORITIES, getOptionLabel } = require('./form-schema');
+
+// Channel every new request is posted to for triage (triage is off when unset)
+const TRIAGE_CHANNEL = process.env.TRIAGE_CHANNEL || null;
+
+// Label added when triage asks the requester for more information
+const NEEDS_INFO_LABEL = 'needs-info';
+
+// Block IDs: the controls carry the issue reference (owner/repo#123) after the prefix
+const TRIAGE_ACTIONS_PREFIX = 'triage:';
+const TRIAGE_LOG_BLOCK_ID = 'triage_log';
+
+// Most triage log lines kept on the message
+const MAX_LOG_LINES = 10;
+
+// Slack select menus allow at most 100 options
+const MAX_OPTIONS = 100;
+
+/**
+ * Build a Slack select option (text is limited to 75 characters)
+ */
+function toOption(value, label = value) {
+  return {
+    text: { type: 'plain_text', text: label.length > 75 ? label.slice(0, 72) + '...' : label },
+    value,
+  };
+}
+
+/**
+ * Build the triage channel message for a new request
+ * @param {object} request
+ * @param {object} request.issue - Created GitHub issue
+ * @param {object} request.repoInfo - { owner, repo, fullName }
+ * @param {string} request.submitterId - Slack user ID
+ * @param {string} request.type - Request type value
+ * @param {string} request.priority - Priority value
+ * @param {string} request.description - Request description
+ * @param {string[]} request.assignees - GitHub logins that can be assigned
+ * @param {string[]} request.labels - Repository labels that can be added
+ * @returns {Array<object>} - Slack blocks
+ */
+function buildTriageBlocks({ issue, repoInfo, submitterId, type, priority, description, assignees = [], labels = [] }) {
+  const ref = `${repoInfo.fullName}#${issue.number}`;
+
+  let excerpt = description || '_No description provided_';
+  if (excerpt.length > 500) {
+    excerpt = excerpt.substring(0, 500) + '...';
+  }
+
+  const elements = [
+    {
+      type: 'static_select',
+      action_id: 'triage_priority',
+      placeholder: { type: 'plain_text', text: 'Set priority' },
+      options: PRIORITIES.map(p => toOption(p.value, p.label)),
+      ...(priority ? { initial_option: toOption(priority, getOptionLabel('priority', priority)) } : {}),
+    },
+  ];
+
+  if (assignees.length > 0) {
+    elements.push({
+      type: 'static_select',
+      action_id: 'triage_assignee',
+      placeholder: { type: 'plain_text', text: 'Assign' },
+      options: assignees.slice(0, MAX_OPTIONS).map(login => toOption(login)),
+    });
+  }
+
+  if (labels.length > 0) {
+    elements.push({
+      type: 'static_select',
+      action_id: 'triage_label',
+      placeholder: { type: 'plain_text', text: 'Add label' },
+      options: labels.slice(0, MAX_OPTIONS).map(name => toOption(name)),
+    });
+  }
+
+  elements.push(
+    {
+      type: 'button',
+      action_id: 'triage_more_info',
+      text: { type: 'plain_text', text: 'Ask for more info' },
+      value: ref,
+    },
+    {
+      type: 'button',
+      action_id: 'triage_duplicate',
+      text: { type: 'plain_text', text: 'Close as duplicate' },
+      style: 'danger',
+      value: ref,
+    }
+  );
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `:inbox_tray: *New billing request:* <${issue.html_url}|${ref}: ${issue.title}>`,
+      },
+    },
+    {
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*Type:*\n${getOptionLabel('type', type)}` },
+        { type: 'mrkdwn', text: `*Priority:*\n${getOptionLabel('priority', priority)}` },
+        { type: 'mrkdwn', text: `*Submitted by:*\n<@${submitterId}>` },
+        { type: 'mrkdwn', text: `*Repository:*\n${repoInfo.fullName}` },
+      ],
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: excerpt },
+    },
+    {
+      type: 'actions',
+      block_id: `${TRIAGE_ACTIONS_PREFIX}${ref}`,
+      elements,
+    },
+    {
+      type: 'context',
+      block_id: TRIAGE_LOG_BLOCK_ID,
+      elements: [{ type: 'mrkdwn', text: '_Awaiting triage_' }],
+    },
+  ];
+}
+
+/**
+ * Get the issue reference (owner/repo#123) a triage control belongs to
+ * @param {object} action - Block action payload
+ * @returns {string|null}
+ */
+function getTriageRef(action) {
+  if (action.block_id?.startsWith(TRIAGE_ACTIONS_PREFIX)) {
+    return action.block_id.slice(TRIAGE_ACTIONS_PREFIX.length);
+  }
+  return action.value || null;
+}
+
+/**
+ * Add a line to the triage log on a triage message
+ * @param {Array<object>} blocks - Current message blocks
+ * @param {string} line - What was done (mrkdwn)
+ * @returns {Array<object>} - Updated blocks
+ */
+function appendTriageLog(blocks, line) {
+  const logBlock = blocks.find(b => b.block_id === TRIAGE_LOG_BLOCK_ID);
+  const previous = (logBlock?.elements[0]?.text || '')
+    .split('\n')
+    .filter(l => l && l !== '_Awaiting triage_');
+  const lines = [...previous, line].slice(-MAX_LOG_LINES);
+
+  return [
+    ...blocks.filter(b => b.block_id !== TRIAGE_LOG_BLOCK_ID),
+    {
+      type: 'context',
+      block_id: TRIAGE_LOG_BLOCK_ID,
+      elements: [{ type: 'mrkdwn', text: lines.join('\n') }],
+    },
+  ];
+}
+
+/**
+ * Build a single-input triage modal
+ */
+function buildTriageModal({ callbackId, title, submit, label, blockId, actionId, multiline, placeholder }, metadata) {
+  return {
+    type: 'modal',
+    callback_id: callbackId,
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: title },
+    submit: { type: 'plain_text', text: submit },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: blockId,
+        label: { type: 'plain_text', text: label },
+        element: {
+          type: 'plain_text_input',
+          action_id: actionId,
+          multiline,
+          placeholder: { type: 'plain_text', text: placeholder },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Build the modal asking the requester for more information
+ * @param {object} metadata - { issue_ref, channel_id, message_ts } of the triage message
+ */
+function buildMoreInfoModal(metadata) {
+  return buildTriageModal({
+    callbackId: 'triage_more_info_modal',
+    title: 'Ask for more info',
+    submit: 'Ask',
+    label: 'What do you need from the requester?',
+    blockId: 'question_block',
+    actionId: 'question_input',
+    multiline: true,
+    placeholder: 'e.g., Which customer account is affected?',
+  }, metadata);
+}
+
+/**
+ * Build the modal for closing a request as a duplicate
+ * @param {object} metadata - { issue_ref, channel_id, message_ts } of the triage message
+ */
+function buildDuplicateModal(metadata) {
+  return buildTriageModal({
+    callbackId: 'triage_duplicate_modal',
+    title: 'Close as duplicate',
+    submit: 'Close',
+    label: 'Duplicate of issue number',
+    blockId: 'duplicate_of_block',
+    actionId: 'duplicate_of_input',
+    multiline: false,
+    placeholder: 'e.g., 123',
+  }, metadata);
+}
+
+module.exports = {
+  TRIAGE_CHANNEL,
+  NEEDS_INFO_LABEL,
+  buildTriageBlocks,
+  getTriageRef,
+  appendTriageLog,
+  buildMoreInfoModal,
+  buildDuplicateModal,
+};
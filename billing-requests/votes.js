@@ -0,0 +1,188 @@
+// Request Votes - "+1 / affects me too" votes on existing requests
+//
+// Votes live in a section of the GitHub issue body, between the footer lines and the
+// metadata block, so the tally and voter list are visible to developers:
+//
+//   <!-- billing-request-votes -->
+//   ## +1 Votes (2)
+//   - Jane Doe (<@U123>): Also blocks EU invoicing
+//   - <@U456>
+//   <!-- /billing-request-votes -->
+
+const { getConfiguredRepos } = require('./routing');
+const { parseIssueMetadata } = require('./issue-metadata');
+
+// Action/callback IDs for the vote button and its modal
+const VOTE_ACTION_ID = 'vote_request';
+const VOTE_MODAL_CALLBACK_ID = 'vote_modal';
+
+// Longest note kept per vote (notes are flattened to one line)
+const MAX_NOTE_LENGTH = 300;
+
+// How many requests the demand ranking lists
+const MAX_TOP_REQUESTS = 10;
+
+const VOTES_PATTERN = /\n*<!-- billing-request-votes -->\n[\s\S]*?<!-- \/billing-request-votes -->/;
+const VOTE_LINE_PATTERN = /^- (?:(.*?) \()?<@(\w+)>\)?(?:: (.*))?$/;
+const METADATA_START = '<!-- billing-request-metadata';
+
+/**
+ * Read the votes recorded in an issue body
+ * @param {string} issueBody
+ * @returns {Array<{ user_id: string, name: string|null, note: string|null }>}
+ */
+function parseVotes(issueBody) {
+  const match = (issueBody || '').match(VOTES_PATTERN);
+  if (!match) return [];
+
+  const votes = [];
+  for (const line of match[0].split('\n')) {
+    const vote = line.match(VOTE_LINE_PATTERN);
+    if (vote) {
+      votes.push({ user_id: vote[2], name: vote[1] || null, note: vote[3] || null });
+    }
+  }
+  return votes;
+}
+
+/**
+ * Render the votes section
+ */
+function buildVotesSection(votes) {
+  const lines = votes.map(({ user_id: userId, name, note }) =>
+    `- ${name ? `${name} (<@${userId}>)` : `<@${userId}>`}${note ? `: ${note}` : ''}`
+  );
+  return [
+    '<!-- billing-request-votes -->',
+    `## +1 Votes (${votes.length})`,
+    ...lines,
+    '<!-- /billing-request-votes -->',
+  ].join('\n');
+}
+
+/**
+ * Add (or update) a vote in an issue body
+ * A user votes once; voting again replaces their note.
+ * @param {string} issueBody - Current GitHub issue body
+ * @param {object} vote - { user_id, name, note }
+ * @returns {{ body: string, votes: Array, added: boolean }} - Updated body and votes
+ */
+function addVote(issueBody, { user_id: userId, name = null, note = null }) {
+  const body = issueBody || '';
+  const votes = parseVotes(body);
+
+  let cleanNote = (note || '').replace(/\s+/g, ' ').trim();
+  if (cleanNote.length > MAX_NOTE_LENGTH) {
+    cleanNote = cleanNote.substring(0, MAX_NOTE_LENGTH - 3) + '...';
+  }
+  const vote = { user_id: userId, name: name ? name.replace(/[()<>\n]/g, '') : null, note: cleanNote || null };
+
+  const existing = votes.findIndex(v => v.user_id === userId);
+  if (existing === -1) {
+    votes.push(vote);
+  } else {
+    votes[existing] = { ...vote, note: vote.note || votes[existing].note };
+  }
+
+  // Keep the section just above the metadata block (which stays last)
+  const stripped = body.replace(VOTES_PATTERN, '');
+  const section = buildVotesSection(votes);
+  const metadataIndex = stripped.lastIndexOf(METADATA_START);
+  const updated = metadataIndex === -1
+    ? `${stripped.trimEnd()}\n\n${section}`
+    : `${stripped.slice(0, metadataIndex).trimEnd()}\n\n${section}\n\n${stripped.slice(metadataIndex)}`;
+
+  return { body: updated, votes, added: existing === -1 };
+}
+
+/**
+ * Build the modal for +1ing a request, with an optional note
+ * @param {object} metadata - { issue_ref, channel_id } of the message the vote came from
+ */
+function buildVoteModal(metadata) {
+  return {
+    type: 'modal',
+    callback_id: VOTE_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: '+1 this request' },
+    submit: { type: 'plain_text', text: '+1' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'vote_note_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'How does it affect you?' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'vote_note_input',
+          multiline: true,
+          max_length: MAX_NOTE_LENGTH,
+          placeholder: { type: 'plain_text', text: 'e.g., Also blocks our EU invoice run' },
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Rank open billing requests across every routed repo by their +1 votes
+ * @param {object} octokit - Authenticated Octokit client
+ * @returns {Promise<Array<{ issue, repoInfo, votes: number }>>} - Most votes first (requests with none are left out)
+ */
+async function findTopVotedRequests(octokit) {
+  const ranked = [];
+
+  for (const repoInfo of getConfiguredRepos()) {
+    const issues = await octokit.paginate(octokit.issues.listForRepo, {
+      owner: repoInfo.owner,
+      repo: repoInfo.repo,
+      state: 'open',
+      per_page: 100,
+    });
+
+    for (const issue of issues) {
+      if (issue.pull_request || !parseIssueMetadata(issue.body).channel_id) continue;
+      const votes = parseVotes(issue.body).length;
+      if (votes > 0) {
+        ranked.push({ issue, repoInfo, votes });
+      }
+    }
+  }
+
+  return ranked
+    .sort((a, b) => b.votes - a.votes || new Date(a.issue.created_at) - new Date(b.issue.created_at))
+    .slice(0, MAX_TOP_REQUESTS);
+}
+
+/**
+ * Build Slack blocks listing requests by demand
+ * @param {Array} ranked - Results from findTopVotedRequests()
+ * @returns {Array<object>} - Slack blocks
+ */
+function buildTopVotedBlocks(ranked) {
+  const lines = ranked.map(({ issue, repoInfo, votes }) =>
+    `*${votes}* :raised_hand:  <${issue.html_url}|${repoInfo.repo}#${issue.number}: ${issue.title}>`
+  );
+
+  return [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: 'Most-requested open billing requests' },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.length > 0 ? lines.join('\n') : '_No open requests have +1 votes yet._' },
+    },
+  ];
+}
+
+module.exports = {
+  VOTE_ACTION_ID,
+  VOTE_MODAL_CALLBACK_ID,
+  parseVotes,
+  addVote,
+  buildVoteModal,
+  findTopVotedRequests,
+  buildTopVotedBlocks,
+};
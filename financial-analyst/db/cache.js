@@ -1,11 +1,6 @@
 // Persistent balance cache using Heroku Postgres
-const { Pool } = require('pg');
-
-// Use DATABASE_URL from Heroku (automatically set when you add Postgres)
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Shares the app's connection pool with the billing request tables
+const { pool, closePool } = require('../../billing-requests/db');
 
 /**
  * Initialize the cache table (run once on setup)
@@ -139,15 +134,6 @@ async function getCacheStatus() {
   };
 }
 
-/**
- * Close the pool (for graceful shutdown)
- */
-async function closePool() {
-  if (process.env.DATABASE_URL) {
-    await pool.end();
-  }
-}
-
 module.exports = {
   initCacheTable,
   getBalanceCache,
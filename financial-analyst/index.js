@@ -5,6 +5,11 @@ const tools = require('./tools');
 const { formatResponse, formatError } = require('./formatters/slack-blocks');
 const { SYSTEM_PROMPT, TOOL_DEFINITIONS } = require('./config');
 const dbCache = require('./db/cache');
+const { recordQuestion } = require('./metrics');
+const rillet = require('./tools/rillet');
+const googleSheets = require('./tools/google-sheets');
+const { getRilletMCPClient } = require('./tools/rillet-mcp');
+const workflows = require('./workflows');
 
 // Maximum iterations to prevent infinite tool loops
 const MAX_TOOL_ITERATIONS = 10;
@@ -158,10 +163,12 @@ async function analyze(question, context = {}) {
 
         if (!textContent) {
           console.warn('[FPA Bot] Claude returned no text content');
+          recordQuestion('no_answer', iteration);
           return formatError('I was unable to generate a response. Please try rephrasing your question.');
         }
 
         console.log(`[FPA Bot] Analysis complete after ${iteration} iteration(s)`);
+        recordQuestion('answered', iteration);
 
         // Save the final user message and assistant response for conversation continuity
         // Only save the user's question and Claude's final text response (not tool use iterations)
@@ -179,10 +186,12 @@ async function analyze(question, context = {}) {
 
     // If we hit max iterations, return what we have
     console.error(`[FPA Bot] Max iterations (${MAX_TOOL_ITERATIONS}) reached`);
+    recordQuestion('max_iterations', iteration);
     return formatError('The analysis took too long. Please try a simpler question or break it into parts.');
 
   } catch (error) {
     console.error('[FPA Bot] Analysis error:', error);
+    recordQuestion('error', iteration);
 
     // Handle specific error types
     if (error.status === 401) {
@@ -223,18 +232,83 @@ function checkConfiguration() {
   };
 }
 
+/**
+ * Health checks for the financial analyst's data sources (for /readyz)
+ * Sources that checkConfiguration() reports as unset are skipped.
+ * @returns {object} - Check definitions keyed by dependency name
+ */
+function getHealthChecks() {
+  const config = checkConfiguration();
+  return {
+    rillet_api: {
+      configured: config.rillet,
+      run: () => rillet.ping()
+    },
+    rillet_mcp: {
+      configured: config.rillet,
+      run: () => getRilletMCPClient().ping()
+    },
+    google_sheets: {
+      configured: config.google_sheets,
+      run: () => googleSheets.checkCredentials()
+    }
+  };
+}
+
 /**
  * Clear conversation history for a thread
  * @param {string} threadTs - Thread timestamp
+ * @returns {boolean} - Whether there was a conversation to clear
  */
 function clearConversation(threadTs) {
-  if (threadTs) {
-    conversationStore.delete(threadTs);
-  }
+  if (!threadTs) return false;
+  return conversationStore.delete(threadTs);
+}
+
+/**
+ * List the in-memory conversations (sizes and activity only, not their content)
+ * @returns {Array<{ thread_ts: string, messages: number, last_activity: string }>} - Most recent first
+ */
+function listConversations() {
+  return Array.from(conversationStore.entries())
+    .sort(([, a], [, b]) => b.lastActivity - a.lastActivity)
+    .map(([threadTs, conv]) => ({
+      thread_ts: threadTs,
+      messages: conv.messages.length,
+      last_activity: new Date(conv.lastActivity).toISOString()
+    }));
+}
+
+/**
+ * Clear every in-memory conversation
+ * @returns {number} - How many were cleared
+ */
+function clearAllConversations() {
+  const count = conversationStore.size;
+  conversationStore.clear();
+  return count;
+}
+
+/**
+ * Drop the Rillet MCP connection and connect again
+ * @returns {Promise<{ tools: string[] }>} - Tools offered by the new connection
+ */
+async function reconnectRilletMCP() {
+  const mcp = getRilletMCPClient();
+  // A connection that already died can fail to close - it's being replaced anyway
+  await mcp.disconnect().catch(error => console.error('[FPA Bot] Error closing Rillet MCP connection:', error.message));
+  await mcp.connect();
+  return { tools: mcp.tools.map(t => t.name) };
 }
 
 module.exports = {
   analyze,
   checkConfiguration,
-  clearConversation
+  getHealthChecks,
+  clearConversation,
+  listConversations,
+  clearAllConversations,
+  reconnectRilletMCP,
+  refreshBalanceCache: workflows.refreshBalanceCache,
+  getCacheStatus: workflows.getCacheStatus
 };
@@ -0,0 +1,90 @@
+// FPA Bot Metrics - Prometheus counters and histograms for questions, tool calls and the balance caches
+// Registered on prom-client's default registry (served by the app's /metrics endpoint).
+
+const client = require('prom-client');
+
+const questions = new client.Counter({
+  name: 'fpa_questions_total',
+  help: 'Questions answered by the financial analyst, by outcome',
+  labelNames: ['outcome']
+});
+
+const iterations = new client.Histogram({
+  name: 'fpa_claude_iterations',
+  help: 'Claude calls (tool use iterations) needed to answer a question',
+  buckets: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+});
+
+const toolCalls = new client.Counter({
+  name: 'fpa_tool_calls_total',
+  help: 'Tool calls made for Claude, by tool name and outcome',
+  labelNames: ['tool', 'outcome']
+});
+
+const toolDuration = new client.Histogram({
+  name: 'fpa_tool_call_duration_seconds',
+  help: 'Time taken by a tool call, by tool name and outcome',
+  labelNames: ['tool', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120]
+});
+
+const rilletPages = new client.Counter({
+  name: 'rillet_pages_fetched_total',
+  help: 'Pages fetched from paginated Rillet API endpoints',
+  labelNames: ['endpoint']
+});
+
+const cacheLookups = new client.Counter({
+  name: 'fpa_balance_cache_lookups_total',
+  help: 'Account balance cache lookups, by cache level (l1 = memory, l2 = Postgres) and result',
+  labelNames: ['cache', 'result']
+});
+
+/**
+ * Record a finished question
+ * @param {string} outcome - 'answered', 'no_answer', 'max_iterations' or 'error'
+ * @param {number} iterationCount - Claude calls made
+ */
+function recordQuestion(outcome, iterationCount) {
+  questions.inc({ outcome });
+  if (iterationCount > 0) {
+    iterations.observe(iterationCount);
+  }
+}
+
+/**
+ * Start timing a tool call
+ * @param {string} tool - Tool name
+ * @returns {Function} - Call with the outcome ('success' or 'error') when the tool finishes
+ */
+function startToolCall(tool) {
+  const end = toolDuration.startTimer({ tool });
+  return (outcome) => {
+    end({ outcome });
+    toolCalls.inc({ tool, outcome });
+  };
+}
+
+/**
+ * Count a page fetched from a paginated Rillet endpoint
+ * @param {string} endpoint - e.g. '/journal-entries'
+ */
+function recordRilletPage(endpoint) {
+  rilletPages.inc({ endpoint });
+}
+
+/**
+ * Count a balance cache lookup
+ * @param {string} cache - 'l1' (memory) or 'l2' (Postgres)
+ * @param {boolean} hit
+ */
+function recordCacheLookup(cache, hit) {
+  cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+}
+
+module.exports = {
+  recordQuestion,
+  startToolCall,
+  recordRilletPage,
+  recordCacheLookup
+};
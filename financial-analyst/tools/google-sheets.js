@@ -35,6 +35,17 @@ class GoogleSheetsClient {
     }
   }
 
+  /**
+   * Check the service account credentials by fetching an access token (used by /readyz)
+   */
+  async checkCredentials() {
+    await this.initialize();
+    if (!this.auth) {
+      throw new Error('Google Sheets client failed to initialize');
+    }
+    await this.auth.authorize();
+  }
+
   /**
    * Get the context/instructions tab that explains the budget data structure
    */
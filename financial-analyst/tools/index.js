@@ -3,6 +3,7 @@
 const googleSheets = require('./google-sheets');
 const { getRilletMCPClient } = require('./rillet-mcp');
 const workflows = require('../workflows');
+const { recordRilletPage, startToolCall } = require('../metrics');
 
 // Rillet API base URL
 const RILLET_API_BASE = process.env.RILLET_API_BASE_URL || 'https://api.rillet.com';
@@ -55,6 +56,7 @@ async function calculateAccountBalances(accountCodes) {
 
     const data = await response.json();
     pageCount++;
+    recordRilletPage('/journal-entries');
 
     console.log(`[Rillet] Fetched page ${pageCount}, entries: ${data.journal_entries?.length || 0}`);
 
@@ -227,8 +229,10 @@ const toolImplementations = {
  */
 async function execute(name, input) {
   const tool = toolImplementations[name];
+  const endToolCall = startToolCall(tool ? name : 'unknown');
 
   if (!tool) {
+    endToolCall('error');
     return {
       error: `Unknown tool: ${name}`,
       is_error: true,
@@ -240,9 +244,11 @@ async function execute(name, input) {
     console.log(`Executing tool: ${name}`, JSON.stringify(input));
     const result = await tool(input);
     console.log(`Tool ${name} completed:`, result.is_error ? result.error : 'success');
+    endToolCall(result.is_error ? 'error' : 'success');
     return result;
   } catch (error) {
     console.error(`Tool ${name} error:`, error);
+    endToolCall('error');
     return {
       error: `Tool execution failed: ${error.message}`,
       is_error: true,
@@ -80,12 +80,30 @@ class RilletMCPClient {
   }
 
   async disconnect() {
-    if (this.transport) {
-      await this.transport.close();
+    try {
+      if (this.transport) {
+        await this.transport.close();
+      }
+    } finally {
+      // Reset even if closing fails, so the next connect() starts a fresh connection
+      this.client = null;
+      this.transport = null;
+      this.connected = false;
     }
-    this.client = null;
-    this.transport = null;
-    this.connected = false;
+  }
+
+  // Check the MCP connection is alive, connecting first if needed (used by /readyz)
+  async ping() {
+    await this.connect();
+    try {
+      await this.client.ping();
+    } catch (error) {
+      // Drop the dead connection so the next call reconnects (disconnect() resets the
+      // client state even when closing the dead transport fails)
+      await this.disconnect().catch(() => {});
+      throw error;
+    }
+    return { tools: this.tools.length };
   }
 
   async listTools() {
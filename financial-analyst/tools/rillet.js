@@ -1,5 +1,7 @@
 // Rillet ERP Tool - Fetches actuals data from Rillet API
 
+const { recordRilletPage } = require('../metrics');
+
 class RilletClient {
   constructor() {
     this.baseUrl = process.env.RILLET_API_BASE_URL || 'https://api.rillet.com';
@@ -37,6 +39,11 @@ class RilletClient {
     return response.json();
   }
 
+  // Check the API is reachable and the key is accepted (used by /readyz)
+  async ping() {
+    await this.request('/accounts', { limit: 1 });
+  }
+
   // Parse month string to YYYY-MM format for ARR waterfall
   parseMonth(period) {
     const now = new Date();
@@ -276,6 +283,7 @@ class RilletClient {
         // Check for pagination cursor
         cursor = response.meta?.cursor || response.nextCursor || null;
         pageCount++;
+        recordRilletPage('/journal-entries');
       } while (cursor && pageCount < maxPages);
 
       // Calculate balances for each matching account
@@ -403,6 +411,7 @@ class RilletClient {
 
         cursor = response.meta?.cursor || response.nextCursor || null;
         pageCount++;
+        recordRilletPage('/journal-entries');
       } while (cursor && pageCount < 20);
 
       // Build a map of account codes to their info
@@ -2,6 +2,7 @@
 // High-level orchestrated operations that combine multiple data sources
 
 const dbCache = require('../db/cache');
+const { recordRilletPage, recordCacheLookup } = require('../metrics');
 
 const RILLET_API_BASE = process.env.RILLET_API_BASE_URL || 'https://api.rillet.com';
 
@@ -305,7 +306,9 @@ async function getAllAccountBalances(forceRefresh = false) {
   const now = Date.now();
 
   // L1: Check memory cache first (fastest)
-  if (!forceRefresh && memoryCache && memoryCacheTime && (now - memoryCacheTime) < MEMORY_CACHE_TTL) {
+  const memoryHit = Boolean(memoryCache && memoryCacheTime && (now - memoryCacheTime) < MEMORY_CACHE_TTL);
+  if (!forceRefresh) recordCacheLookup('l1', memoryHit);
+  if (!forceRefresh && memoryHit) {
     const cacheAge = Math.round((now - memoryCacheTime) / 1000);
     console.log(`[Workflow] Using memory cache (${cacheAge}s old, ${Object.keys(memoryCache).length} accounts)`);
     return memoryCache;
@@ -314,6 +317,7 @@ async function getAllAccountBalances(forceRefresh = false) {
   // L2: Check Postgres cache (fast)
   if (!forceRefresh) {
     const dbBalances = await getBalancesFromDB();
+    recordCacheLookup('l2', Boolean(dbBalances));
     if (dbBalances) {
       // Populate memory cache from DB
       memoryCache = dbBalances;
@@ -353,6 +357,7 @@ async function getAllAccountBalances(forceRefresh = false) {
     });
 
     pageCount++;
+    recordRilletPage('/journal-entries');
     const entries = data.journal_entries || [];
     totalEntries += entries.length;
 
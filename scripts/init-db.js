@@ -2,7 +2,8 @@
 /**
  * Initialize Database Script
  *
- * Creates the required tables for the financial analyst cache.
+ * Creates the required tables for the financial analyst cache, the
+ * billing request Slack linkage store, the webhook delivery log and the job queue.
  * Safe to run multiple times (uses IF NOT EXISTS).
  *
  * Usage:
@@ -12,6 +13,10 @@
 require('dotenv').config();
 
 const dbCache = require('../financial-analyst/db/cache');
+const requestsDb = require('../billing-requests/db');
+const { initLinkageTables } = require('../billing-requests/linkage');
+const { initDeliveryTable } = require('../billing-requests/deliveries');
+const { initJobsTable } = require('../billing-requests/jobs');
 
 async function main() {
   console.log('Initializing database tables...');
@@ -19,13 +24,16 @@ async function main() {
 
   try {
     await dbCache.initCacheTable();
+    await initLinkageTables();
+    await initDeliveryTable();
+    await initJobsTable();
     console.log('Database initialization complete.');
-    await dbCache.closePool();
+    await requestsDb.closePool();
     process.exit(0);
   } catch (error) {
     console.error('Database initialization failed:', error.message);
     console.error(error.stack);
-    await dbCache.closePool();
+    await requestsDb.closePool();
     process.exit(1);
   }
 }
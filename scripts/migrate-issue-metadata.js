@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Migrate Issue Metadata Script
+ *
+ * Rewrites billing requests filed before the versioned metadata block existed,
+ * replacing their <!-- slack_channel --> / <!-- slack_thread_ts --> comments with
+ * a single <!-- billing-request-metadata --> block (requester, channel, thread,
+ * type, priority and source message read from the old markers and footer lines).
+ *
+ * Covers every repository in the routing table. Dry run by default.
+ * Safe to run multiple times (already migrated issues are skipped).
+ *
+ * Usage:
+ *   node scripts/migrate-issue-metadata.js           # list issues that would change
+ *   node scripts/migrate-issue-metadata.js --apply   # rewrite them
+ */
+
+require('dotenv').config();
+
+const { Octokit } = require('@octokit/rest');
+const { getConfiguredRepos } = require('../billing-requests/routing');
+const { parseIssueMetadata, setIssueMetadata } = require('../billing-requests/issue-metadata');
+
+async function main() {
+  const apply = process.argv.includes('--apply');
+  const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+
+  console.log(`Migrating issue metadata (${apply ? 'apply' : 'dry run'})...`);
+
+  try {
+    let migrated = 0;
+
+    for (const repoInfo of getConfiguredRepos()) {
+      const issues = await octokit.paginate(octokit.issues.listForRepo, {
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        state: 'all',
+        per_page: 100
+      });
+
+      for (const issue of issues) {
+        if (issue.pull_request) continue;
+
+        const metadata = parseIssueMetadata(issue.body);
+        // Already migrated, or not filed through Slack
+        if (metadata.version > 0 || !metadata.channel_id) continue;
+
+        console.log(`  ${repoInfo.fullName}#${issue.number}: ${issue.title}`);
+        if (apply) {
+          await octokit.issues.update({
+            owner: repoInfo.owner,
+            repo: repoInfo.repo,
+            issue_number: issue.number,
+            body: setIssueMetadata(issue.body)
+          });
+        }
+        migrated++;
+      }
+    }
+
+    console.log(apply
+      ? `Migrated ${migrated} issue(s).`
+      : `${migrated} issue(s) to migrate. Run with --apply to rewrite them.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
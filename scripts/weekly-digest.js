@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Weekly Billing Request Digest Script
+ *
+ * Posts a summary of the last week's billing requests to PR_NOTIFICATION_CHANNEL:
+ * requests opened, closed and merged by type and priority, the oldest open
+ * urgent/high requests, median time from request to merged PR, and top requesters.
+ *
+ * Heroku Scheduler runs at most daily, so the script only posts on DIGEST_WEEKDAY
+ * (0 = Sunday ... 6 = Saturday, default 1 = Monday). Pass --force to post any day.
+ *
+ * Usage:
+ *   node scripts/weekly-digest.js [--force]
+ *
+ * Or via Heroku Scheduler:
+ *   heroku scheduler:add --app ps-billing-requests
+ *   Set command: node scripts/weekly-digest.js (daily)
+ */
+
+require('dotenv').config();
+
+const { WebClient } = require('@slack/web-api');
+const { Octokit } = require('@octokit/rest');
+const { buildDigest, buildDigestBlocks } = require('../billing-requests/digest');
+const requestsDb = require('../billing-requests/db');
+
+// Same default as app.js
+const PR_NOTIFICATION_CHANNEL = process.env.PR_NOTIFICATION_CHANNEL || 'ps-billing-app-testing';
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY || '1', 10);
+
+async function main() {
+  const force = process.argv.includes('--force');
+  if (!force && new Date().getDay() !== DIGEST_WEEKDAY) {
+    console.log(`Not digest day (DIGEST_WEEKDAY=${DIGEST_WEEKDAY}), skipping. Use --force to post anyway.`);
+    process.exit(0);
+  }
+
+  console.log('='.repeat(60));
+  console.log('Weekly Billing Request Digest');
+  console.log('Started:', new Date().toISOString());
+  console.log('='.repeat(60));
+
+  try {
+    const octokit = new Octokit({ auth: process.env.GITHUB_TOKEN });
+    const slack = new WebClient(process.env.SLACK_BOT_TOKEN);
+
+    const digest = await buildDigest(octokit, { days: 7 });
+    console.log(`\nOpened: ${digest.opened.total}, closed: ${digest.closed.total}, PR merged: ${digest.merged.total}`);
+
+    await slack.chat.postMessage({
+      channel: PR_NOTIFICATION_CHANNEL,
+      text: `Billing requests - last ${digest.days} days: ${digest.opened.total} opened, ${digest.closed.total} closed`,
+      blocks: buildDigestBlocks(digest),
+      unfurl_links: false,
+      unfurl_media: false
+    });
+
+    console.log(`\nPosted digest to ${PR_NOTIFICATION_CHANNEL}`);
+    console.log('Finished:', new Date().toISOString());
+
+    // Clean exit
+    await requestsDb.closePool();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('\nDigest failed:', error.message);
+    console.error(error.stack);
+    await requestsDb.closePool();
+    process.exit(1);
+  }
+}
+
+main();
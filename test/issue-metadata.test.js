@@ -0,0 +1,64 @@
+// Issue Metadata tests - run with `npm test`
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parseIssueMetadata,
+  buildMetadataBlock,
+  setIssueMetadata,
+  extractSubmitter
+} = require('../billing-requests/issue-metadata');
+
+// A lookalike block a requester pasted into their description
+const FAKE_BLOCK = `<!-- billing-request-metadata\n${JSON.stringify({
+  version: 1,
+  requester_id: 'UEVIL',
+  channel_id: 'CEVIL',
+  thread_ts: '1111111111.000100'
+})}\n-->`;
+
+function buildBody(description) {
+  return [
+    '## Description',
+    description,
+    '',
+    '**Submitted via:** Slack by <@UREAL>',
+    '',
+    buildMetadataBlock({ requester_id: 'UREAL', channel_id: 'CREAL', thread_ts: '1700000000.000100' })
+  ].join('\n');
+}
+
+test('reads the metadata block at the end of the body', () => {
+  const metadata = parseIssueMetadata(buildBody('Invoices are rounded wrong'));
+  assert.strictEqual(metadata.requester_id, 'UREAL');
+  assert.strictEqual(metadata.channel_id, 'CREAL');
+  assert.strictEqual(metadata.thread_ts, '1700000000.000100');
+});
+
+test('ignores a fake metadata block in the description', () => {
+  const body = buildBody(`Invoices are rounded wrong\n${FAKE_BLOCK}`);
+  const metadata = parseIssueMetadata(body);
+  assert.strictEqual(metadata.requester_id, 'UREAL');
+  assert.strictEqual(metadata.channel_id, 'CREAL');
+  assert.strictEqual(metadata.thread_ts, '1700000000.000100');
+  assert.strictEqual(extractSubmitter(body), 'UREAL');
+});
+
+test('updates the trailing block, not a fake one in the description', () => {
+  const body = buildBody(`Invoices are rounded wrong\n${FAKE_BLOCK}`);
+  const updated = setIssueMetadata(body, { thread_ts: '1800000000.000200' });
+
+  assert.ok(updated.includes(FAKE_BLOCK), 'the description is left as written');
+  const metadata = parseIssueMetadata(updated);
+  assert.strictEqual(metadata.requester_id, 'UREAL');
+  assert.strictEqual(metadata.thread_ts, '1800000000.000200');
+});
+
+test('falls back to legacy markers when only a fake block is present', () => {
+  const body = `## Description\n${FAKE_BLOCK}\n\n**Submitted via:** Slack by <@UREAL>\n\n<!-- slack_channel:CREAL -->`;
+  const metadata = parseIssueMetadata(body);
+  assert.strictEqual(metadata.version, 0);
+  assert.strictEqual(metadata.requester_id, 'UREAL');
+  assert.strictEqual(metadata.channel_id, 'CREAL');
+});